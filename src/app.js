@@ -1,6 +1,27 @@
 // App bootstrap (feature-flagged entry). Kept minimal to avoid side-effects.
+import { initAssets } from './scene/assets.js';
+import { initEnterFlow } from './ui/enterFlow.js';
+import { initAudio } from './audio/engine.js';
+import { initAudioSettings } from './ui/audioSettings.js';
+import { initArticle } from './ui/article.js';
+import { initArticleNav } from './ui/articleNav.js';
+import { initArticleSearch } from './ui/articleSearch.js';
+import { initPartCatalog } from './ui/partCatalog.js';
+import { initConfigurator } from './ui/configurator.js';
 import { initLightbox } from './ui/lightbox.js';
+import { initLightboxVideo } from './ui/lightboxVideo.js';
+import { initLightboxInfo } from './ui/lightboxInfo.js';
+import { initLightboxZoom } from './ui/lightboxZoom.js';
+import { initDeepLinks } from './ui/deepLinks.js';
+import { initKiosk } from './ui/kiosk.js';
+import { initLazyMedia } from './ui/lazyMedia.js';
 import { initGamepad } from './input/gamepad.js';
+import { initAppActions } from './input/appActions.js';
+import { initKeyboard } from './input/keyboard.js';
+import { initRumble } from './input/rumble.js';
+import { initTurntable } from './scene/turntable.js';
+import { initViews } from './scene/views.js';
+import { initViewSelector } from './ui/viewSelector.js';
 
 function onReady(fn) {
     if (document.readyState === 'loading') document.addEventListener('DOMContentLoaded', fn, { once: true });
@@ -8,10 +29,31 @@ function onReady(fn) {
 }
 
 onReady(() => {
-    // Initialize lightbox and gamepad; rest of the app still runs via legacy code.
+    // Initialize module features; the rest of the app still runs via legacy code.
     try {
+        initAssets();
+        initEnterFlow();
+        initAudio();
+        initAudioSettings();
+        initArticle();
+        initArticleNav();
+        initArticleSearch();
+        initPartCatalog();
+        initConfigurator();
         initLightbox();
+        initLazyMedia();
+        initLightboxVideo();
+        initLightboxInfo();
+        initLightboxZoom();
+        initTurntable();
+        initViews();
+        initAppActions();
+        initViewSelector();
+        initKiosk(); // Before the keyboard, so a key press reaches the kiosk's wake-up first
+        initKeyboard();
+        initRumble();
         initGamepad();
+        initDeepLinks();
         // Future: init history/wiki, chart, and 3D here as we migrate.
     } catch (err) {
         console.error('Module app init failed', err);
@@ -0,0 +1,508 @@
+// Audio engine: one Web Audio graph for the music player and the UI sound effects
+//   music tracks -> music bus (music volume) -> duck -> master (mute) -> speakers
+//   sound cues   -> SFX bus (effects volume) -----------> master
+// The playlist crossfades from track to track (a single track crossfades into itself). Named cues
+// (hover, select, overlay open/close, error) are decoded once and played on the SFX bus. Music ducks
+// while a history or lightbox video plays, and everything pauses while the tab is hidden.
+// Volumes and mute persist to localStorage. The 3D code plays its sounds through the 'audio' hook
+// and falls back to its own <audio> elements without it
+//
+// Config (content/audio.json):
+//   { crossfade, duck: { level, attack, release }, defaults: { music, sfx, muted },
+//     playlist: [{ id, title, artist?, src }], cues: { name: { src, volume?, reverse?, duration?, throttle? } } }
+
+import { registerSceneHook } from '../scene/bridge.js';
+import { subscribeEnterFlow } from '../ui/enterFlow.js';
+
+const DEFAULT_CONFIG_URL = new URL('../../content/audio.json', import.meta.url);
+
+const STORAGE_KEY = 'carholo.audio';
+
+// Fade (s) when music is paused/resumed by the player (crossfades use the config's length)
+const PAUSE_FADE = 0.6;
+
+// Smoothing (s) for volume changes, so slider drags don't click
+const VOLUME_SMOOTHING = 0.05;
+
+// Minimum gap (ms) between two plays of the same cue (matches the 3D code's UI sound throttle)
+const CUE_THROTTLE = 50;
+
+// Videos that duck the music while they play
+const DUCK_SCOPE = '#porsche-history-overlay video, #wiki-image-lightbox video';
+
+// Overlays that play a cue when they open and close ('visible' class, 'closing' while animating out)
+const OVERLAY_CUES = [
+    { id: 'porsche-history-overlay', open: 'overlayOpen', close: 'overlayClose' },
+    { id: 'wiki-image-lightbox', open: 'overlayOpen', close: 'overlayClose' },
+    { id: 'out-of-funds-overlay', open: 'error', close: 'overlayClose' }
+];
+
+// User gestures that may start the audio context (browsers keep it suspended until one)
+const UNLOCK_EVENTS = ['pointerdown', 'keydown', 'touchstart'];
+
+let config = null;
+let settings = null;
+let context = null;
+let buses = null; // { master, music, duck, sfx }
+let decks = []; // music tracks playing or fading: { element, source, gain, index }
+let current = null; // deck the playlist is on
+let trackIndex = 0;
+let playing = false;
+let failures = 0; // tracks in a row that failed to play
+let ducked = false;
+const cueBuffers = new Map(); // cue name -> Promise<AudioBuffer|null>
+const cueLastPlayed = {};
+const listeners = new Set();
+
+/**
+ * Load the stored settings over the config's defaults
+ */
+function loadSettings() {
+    let stored = {};
+    try {
+        const raw = localStorage.getItem(STORAGE_KEY);
+        stored = raw ? JSON.parse(raw) : {};
+    } catch (err) {
+        console.warn('[Audio] Could not read stored settings:', err);
+    }
+    const defaults = config.defaults || {};
+    const volume = (value, fallback) => Number.isFinite(value) ? Math.min(1, Math.max(0, value)) : fallback;
+    settings = {
+        music: volume(stored.music, volume(defaults.music, 0.4)),
+        sfx: volume(stored.sfx, volume(defaults.sfx, 1)),
+        muted: typeof stored.muted === 'boolean' ? stored.muted : !!defaults.muted
+    };
+}
+
+/**
+ * Write the settings back to localStorage
+ */
+function persistSettings() {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+    } catch (err) {
+        console.warn('[Audio] Could not save settings:', err);
+    }
+}
+
+/**
+ * Snapshot for listeners and the settings panel
+ * @returns {{ settings: {music: number, sfx: number, muted: boolean}, playing: boolean, ducked: boolean,
+ *   track: ({id: string, title: string, artist?: string}|null), tracks: number }}
+ */
+export function getAudioState() {
+    const track = config?.playlist[current ? current.index : trackIndex] || null;
+    return {
+        settings: settings ? { ...settings } : null,
+        playing,
+        ducked,
+        track,
+        tracks: config?.playlist.length || 0
+    };
+}
+
+/**
+ * Listen for settings and playback changes; returns an unsubscribe function
+ */
+export function subscribeAudio(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+}
+
+function notify() {
+    const state = getAudioState();
+    listeners.forEach(listener => listener(state));
+}
+
+/**
+ * Move a gain smoothly to a value over `seconds`
+ */
+function fade(gain, value, seconds) {
+    const now = context.currentTime;
+    gain.gain.cancelScheduledValues(now);
+    gain.gain.setValueAtTime(gain.gain.value, now);
+    gain.gain.linearRampToValueAtTime(value, now + Math.max(0.01, seconds));
+}
+
+/**
+ * Apply volumes and mute to the bus gains
+ */
+function applyGains() {
+    if (!buses) return;
+    const now = context.currentTime;
+    buses.master.gain.setTargetAtTime(settings.muted ? 0 : 1, now, VOLUME_SMOOTHING);
+    buses.music.gain.setTargetAtTime(settings.music, now, VOLUME_SMOOTHING);
+    buses.sfx.gain.setTargetAtTime(settings.sfx, now, VOLUME_SMOOTHING);
+}
+
+/**
+ * Create the context and buses on first use; null where Web Audio is unavailable
+ */
+function ensureContext() {
+    if (context) return context;
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContextClass || !config) return null;
+
+    context = new AudioContextClass();
+    buses = {
+        master: context.createGain(),
+        music: context.createGain(),
+        duck: context.createGain(),
+        sfx: context.createGain()
+    };
+    buses.music.connect(buses.duck).connect(buses.master);
+    buses.sfx.connect(buses.master);
+    buses.master.connect(context.destination);
+    buses.master.gain.value = settings.muted ? 0 : 1;
+    buses.music.gain.value = settings.music;
+    buses.sfx.gain.value = settings.sfx;
+    buses.duck.gain.value = ducked ? config.duck?.level ?? 0.25 : 1;
+
+    // Decode the cues now so the first hover doesn't wait for them
+    Object.keys(config.cues).forEach(loadCue);
+    return context;
+}
+
+/**
+ * Start (or resume) the context from a user gesture
+ */
+function unlock() {
+    if (!ensureContext()) return;
+    if (context.state === 'suspended' && !document.hidden) {
+        context.resume().catch(err => console.warn('[Audio] Could not start audio:', err));
+    }
+    if (context.state === 'running') UNLOCK_EVENTS.forEach(type => window.removeEventListener(type, unlock, true));
+}
+
+/**
+ * Reverse a buffer's samples (the deselect cue is the select sound played backwards)
+ */
+function reverseBuffer(buffer) {
+    const reversed = context.createBuffer(buffer.numberOfChannels, buffer.length, buffer.sampleRate);
+    for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+        reversed.getChannelData(channel).set(buffer.getChannelData(channel).slice().reverse());
+    }
+    return reversed;
+}
+
+/**
+ * Fetch and decode a cue's sound once; resolves null when it can't be loaded
+ */
+function loadCue(name) {
+    if (!cueBuffers.has(name)) {
+        const cue = config.cues[name];
+        cueBuffers.set(name, fetch(cue.src)
+            .then(response => {
+                if (!response.ok) throw new Error(`HTTP ${response.status} for ${cue.src}`);
+                return response.arrayBuffer();
+            })
+            .then(data => context.decodeAudioData(data))
+            .then(buffer => cue.reverse ? reverseBuffer(buffer) : buffer)
+            .catch(err => {
+                console.warn('[Audio] Could not load cue', name, err);
+                return null;
+            }));
+    }
+    return cueBuffers.get(name);
+}
+
+/**
+ * Play a named sound cue on the SFX bus; false for unknown cues, while muted or before the
+ * first user gesture has started the audio context, and for repeats within the throttle
+ */
+export function playCue(name) {
+    const cue = config?.cues[name];
+    if (!cue) {
+        if (config) console.warn('[Audio] Unknown cue:', name);
+        return false;
+    }
+    if (settings.muted || !context || context.state !== 'running') return false;
+
+    const now = performance.now();
+    if (now - (cueLastPlayed[name] || 0) < (cue.throttle ?? CUE_THROTTLE)) return false;
+    cueLastPlayed[name] = now;
+
+    loadCue(name).then(buffer => {
+        if (!buffer) return;
+        const source = context.createBufferSource();
+        const gain = context.createGain();
+        source.buffer = buffer;
+        gain.gain.value = cue.volume ?? 1;
+        source.connect(gain).connect(buses.sfx);
+        source.addEventListener('ended', () => gain.disconnect());
+        source.start();
+        if (cue.duration) {
+            // Cut long sounds short with a quick fade
+            const end = context.currentTime + cue.duration;
+            gain.gain.setValueAtTime(gain.gain.value, end - 0.1);
+            gain.gain.linearRampToValueAtTime(0, end);
+            source.stop(end);
+        }
+    });
+    return true;
+}
+
+/**
+ * Output for sounds the 3D code synthesizes itself (routed through the SFX bus so the
+ * settings apply); null where Web Audio is unavailable
+ */
+function getOutput() {
+    if (!ensureContext()) return null;
+    return { context, destination: buses.sfx };
+}
+
+/**
+ * Stop a deck after fading it out and drop it from the graph
+ */
+function retireDeck(deck, seconds) {
+    fade(deck.gain, 0, seconds);
+    setTimeout(() => {
+        deck.element.pause();
+        deck.element.src = '';
+        deck.source.disconnect();
+        deck.gain.disconnect();
+        decks = decks.filter(other => other !== deck);
+    }, seconds * 1000 + 50);
+}
+
+/**
+ * Length of the crossfade into the next track (at most half the track)
+ */
+function crossfadeLength(deck) {
+    const duration = deck.element.duration;
+    const length = config.crossfade ?? 0;
+    return Number.isFinite(duration) ? Math.min(length, duration / 2) : length;
+}
+
+/**
+ * Start a playlist track on a new deck, fading it in
+ */
+function startTrack(index, fadeIn) {
+    const track = config.playlist[index];
+    const element = new Audio(track.src);
+    element.crossOrigin = 'anonymous';
+    element.preload = 'auto';
+    const source = context.createMediaElementSource(element);
+    const gain = context.createGain();
+    gain.gain.value = 0;
+    source.connect(gain).connect(buses.music);
+
+    const deck = { element, source, gain, index };
+    decks.push(deck);
+    current = deck;
+    trackIndex = index;
+
+    element.addEventListener('playing', () => { failures = 0; });
+    element.addEventListener('timeupdate', () => {
+        if (deck !== current || !playing) return;
+        const fadeLength = crossfadeLength(deck);
+        if (fadeLength > 0 && element.duration - element.currentTime <= fadeLength) nextTrack();
+    });
+    element.addEventListener('ended', () => {
+        if (deck === current && playing) nextTrack();
+    });
+    element.addEventListener('error', () => trackFailed(deck, element.error));
+    element.play().catch(err => trackFailed(deck, err));
+    fade(gain, 1, fadeIn);
+    console.log('[Audio] Playing', track.title || track.src);
+    notify();
+}
+
+/**
+ * Skip a track that can't play; stop once every track has failed
+ */
+function trackFailed(deck, err) {
+    if (deck !== current) return;
+    console.warn('[Audio] Could not play', config.playlist[deck.index].src, err);
+    current = null;
+    retireDeck(deck, 0);
+    if (!playing) return;
+    failures++;
+    if (failures < config.playlist.length) {
+        startTrack((deck.index + 1) % config.playlist.length, PAUSE_FADE);
+        return;
+    }
+    failures = 0;
+    playing = false;
+    playCue('error');
+    notify();
+}
+
+/**
+ * Crossfade into the next playlist track; false while the music is paused
+ */
+export function nextTrack() {
+    if (!playing || !context) return false;
+    const previous = current;
+    const length = previous ? crossfadeLength(previous) : PAUSE_FADE;
+    startTrack(previous ? (previous.index + 1) % config.playlist.length : trackIndex, length);
+    if (previous) retireDeck(previous, length);
+    return true;
+}
+
+/**
+ * Start or resume the music; false when there is nothing to play or it is already playing
+ */
+export function playMusic() {
+    if (playing || !config?.playlist.length || !ensureContext()) return false;
+    unlock();
+    playing = true;
+    if (current) {
+        current.element.play().catch(err => trackFailed(current, err));
+        fade(current.gain, 1, PAUSE_FADE);
+        notify();
+    } else {
+        startTrack(trackIndex, PAUSE_FADE);
+    }
+    return true;
+}
+
+/**
+ * Fade the music out and pause it (the track resumes where it stopped); false when not playing
+ */
+export function pauseMusic() {
+    if (!playing) return false;
+    playing = false;
+    decks.filter(deck => deck !== current).forEach(deck => retireDeck(deck, PAUSE_FADE));
+    if (current) {
+        const deck = current;
+        fade(deck.gain, 0, PAUSE_FADE);
+        setTimeout(() => {
+            if (!playing && deck === current) deck.element.pause();
+        }, PAUSE_FADE * 1000);
+    }
+    notify();
+    return true;
+}
+
+/**
+ * Play or pause the music
+ */
+export function toggleMusic() {
+    return playing ? pauseMusic() : playMusic();
+}
+
+/**
+ * Whether the music is playing (or fading in)
+ */
+export function isMusicPlaying() {
+    return playing;
+}
+
+/**
+ * Current volumes and mute
+ */
+export function getAudioSettings() {
+    return settings ? { ...settings } : null;
+}
+
+/**
+ * Change volumes (0-1) and/or mute; saved right away
+ * @param {{music?: number, sfx?: number, muted?: boolean}} changes
+ */
+export function setAudioSettings(changes) {
+    if (!settings) return false;
+    if (Number.isFinite(changes.music)) settings.music = Math.min(1, Math.max(0, changes.music));
+    if (Number.isFinite(changes.sfx)) settings.sfx = Math.min(1, Math.max(0, changes.sfx));
+    if (typeof changes.muted === 'boolean') settings.muted = changes.muted;
+    persistSettings();
+    applyGains();
+    notify();
+    return true;
+}
+
+/**
+ * Mute or unmute everything
+ */
+export function toggleMute() {
+    if (!settings) return false;
+    return setAudioSettings({ muted: !settings.muted });
+}
+
+/**
+ * Duck the music while a history or lightbox video is playing
+ */
+function updateDucking() {
+    const videos = Array.from(document.querySelectorAll(DUCK_SCOPE));
+    const next = videos.some(video => !video.paused && !video.ended);
+    if (next === ducked) return;
+    ducked = next;
+    notify();
+    if (!buses) return;
+    const duck = config.duck || {};
+    const now = context.currentTime;
+    buses.duck.gain.cancelScheduledValues(now);
+    // setTargetAtTime gets ~95% of the way in three time constants
+    const seconds = ducked ? duck.attack ?? 0.4 : duck.release ?? 1.5;
+    buses.duck.gain.setTargetAtTime(ducked ? duck.level ?? 0.25 : 1, now, seconds / 3);
+}
+
+/**
+ * Pause the music and suspend the context while the tab is hidden
+ */
+function onVisibilityChange() {
+    if (!context) return;
+    if (document.hidden) {
+        decks.forEach(deck => deck.element.pause());
+        context.suspend().catch(() => {});
+        return;
+    }
+    context.resume().catch(() => {});
+    if (playing) decks.forEach(deck => deck.element.play().catch(() => {}));
+}
+
+/**
+ * Play the open/close cues as overlays change state
+ */
+function watchOverlays() {
+    OVERLAY_CUES.forEach(({ id, open, close }) => {
+        const overlay = document.getElementById(id);
+        if (!overlay) return;
+        const isOpen = () => overlay.classList.contains('visible') && !overlay.classList.contains('closing');
+        let wasOpen = isOpen();
+        new MutationObserver(() => {
+            const nowOpen = isOpen();
+            if (nowOpen === wasOpen) return;
+            wasOpen = nowOpen;
+            playCue(nowOpen ? open : close);
+            if (!nowOpen) updateDucking();
+        }).observe(overlay, { attributes: true, attributeFilter: ['class'] });
+    });
+}
+
+/**
+ * Fetch an audio config
+ */
+export async function loadAudioConfig(url = DEFAULT_CONFIG_URL) {
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`HTTP ${response.status} for ${url}`);
+    const doc = await response.json();
+    if (!Array.isArray(doc.playlist) || !doc.cues) throw new Error(`No playlist or cues in ${url}`);
+    return doc;
+}
+
+/**
+ * Load the config and settings, then take over the 3D code's sounds through the 'audio' hook
+ */
+export async function initAudio(url = DEFAULT_CONFIG_URL) {
+    try {
+        config = await loadAudioConfig(url);
+    } catch (err) {
+        console.warn('[Audio] Failed to load audio config, keeping the built-in sounds:', err);
+        return;
+    }
+    loadSettings();
+
+    UNLOCK_EVENTS.forEach(type => window.addEventListener(type, unlock, true));
+    document.addEventListener('visibilitychange', onVisibilityChange);
+    // Media events don't bubble; listen in the capture phase for every video on the page
+    ['play', 'pause', 'ended', 'emptied'].forEach(type => document.addEventListener(type, updateDucking, true));
+    watchOverlays();
+    subscribeEnterFlow(state => {
+        if (state === 'error') playCue('error');
+    });
+
+    registerSceneHook('audio', { play: playCue, toggleMusic, isMusicPlaying, output: getOutput });
+    notify();
+    console.log('[Audio] Loaded', config.playlist.length, 'tracks and', Object.keys(config.cues).length, 'cues');
+}
@@ -0,0 +1,85 @@
+// Input action bus
+// Gamepad, keyboard and on-screen buttons dispatch named actions here, so each behaviour is
+// defined once no matter which device triggered it; subscribers observe every dispatch
+
+const handlers = new Map();     // action name -> handler(payload, source)
+const subscribers = new Map();  // action name (or '*' for all) -> Set of callbacks
+
+/**
+ * Define (or replace) the handler for a named action
+ * Handlers return false when the action had nothing to do (e.g. back with no overlay open)
+ */
+export function defineAction(name, handler) {
+    handlers.set(name, handler);
+}
+
+/**
+ * Whether a handler exists for the action
+ */
+export function hasAction(name) {
+    return handlers.has(name);
+}
+
+/**
+ * Run an action and notify subscribers
+ * Returns whether the action was handled
+ */
+export function dispatch(name, payload = {}, source = 'unknown') {
+    const handler = handlers.get(name);
+    if (!handler) {
+        console.warn('[Actions] Unknown action:', name);
+        return false;
+    }
+
+    let handled = false;
+    try {
+        handled = handler(payload, source) !== false;
+    } catch (err) {
+        console.error(`[Actions] "${name}" failed:`, err);
+    }
+
+    const event = { action: name, payload, source, handled };
+    notify(name, event);
+    notify('*', event);
+    return handled;
+}
+
+/**
+ * Call every subscriber registered under a key
+ */
+function notify(key, event) {
+    const callbacks = subscribers.get(key);
+    if (!callbacks) return;
+    callbacks.forEach(callback => {
+        try {
+            callback(event);
+        } catch (err) {
+            console.error('[Actions] Subscriber failed:', err);
+        }
+    });
+}
+
+/**
+ * Listen for dispatches of an action ('*' for all); returns an unsubscribe function
+ * Callbacks receive { action, payload, source, handled }
+ */
+export function subscribe(name, callback) {
+    if (!subscribers.has(name)) subscribers.set(name, new Set());
+    subscribers.get(name).add(callback);
+    return () => subscribers.get(name)?.delete(callback);
+}
+
+/**
+ * Route an on-screen button's clicks into an action
+ * Runs in the capture phase so the button's own (legacy) click listener doesn't fire as well
+ */
+export function bindButton(id, name, payload = {}) {
+    const button = document.getElementById(id);
+    if (!button) return;
+    document.addEventListener('click', (e) => {
+        if (!button.contains(e.target)) return;
+        e.preventDefault();
+        e.stopPropagation();
+        dispatch(name, payload, 'pointer');
+    }, true);
+}
@@ -0,0 +1,286 @@
+// App actions shared by every input device
+// Defines what select/back/toggleWiki/part cycling, camera and UI toggle actions do, whoever dispatches them
+
+import { defineAction, bindButton } from './actions.js';
+import {
+    getActiveOverlay,
+    moveFocus,
+    activateFocus,
+    scrollOverlay,
+    navigateLightbox
+} from './focusNav.js';
+import { isRemapOpen, closeRemapOverlay } from '../ui/gamepadRemap.js';
+import { isKeyboardHelpOpen, closeKeyboardHelp, toggleKeyboardHelp } from '../ui/keyboardHelp.js';
+import { cyclePartNext, cyclePartPrevious } from '../scene/parts.js';
+import { orbitCamera, zoomCamera } from '../scene/camera.js';
+import { flyToView, nextView, previousView, clearView } from '../scene/views.js';
+import { getSceneUI } from '../scene/bridge.js';
+import {
+    toggleVideoPlay,
+    toggleVideoMute,
+    toggleVideoLoop,
+    seekVideo
+} from '../ui/lightboxVideo.js';
+import { zoomLightbox, panLightbox } from '../ui/lightboxZoom.js';
+import { jumpSection } from '../ui/articleNav.js';
+import { stepSearch, focusSearch } from '../ui/articleSearch.js';
+import { openMaintenanceReport, downloadMaintenanceReport } from '../ui/maintenanceReport.js';
+import { undoChoice, redoChoice, exportBuild } from '../ui/configurator.js';
+import { getEnterState, enter } from '../ui/enterFlow.js';
+import { toggleMute, nextTrack } from '../audio/engine.js';
+import {
+    isTurntableActive,
+    isTurntableEnabled,
+    toggleTurntable,
+    subscribeTurntable
+} from '../scene/turntable.js';
+
+// Radians per unit of orbit input
+const ORBIT_STEP = 0.02;
+
+// Camera distance per unit of zoom input
+const ZOOM_STEP = 0.5;
+
+/**
+ * Check whether an element is shown (overlays toggle a 'visible' class)
+ */
+function isVisible(id) {
+    const el = document.getElementById(id);
+    return !!el && el.classList.contains('visible');
+}
+
+/**
+ * Call a UI function registered by the 3D code; false when the scene isn't registered yet
+ */
+function callSceneUI(name, ...args) {
+    const fn = getSceneUI(name);
+    if (!fn) return false;
+    fn(...args);
+    return true;
+}
+
+/**
+ * Current position of the aim cursor (follows the mouse, or is moved by the aim action)
+ */
+function getCursorPosition() {
+    const cursor = document.getElementById('cursor-cross');
+    return {
+        x: parseFloat(cursor?.style.left) || window.innerWidth / 2,
+        y: parseFloat(cursor?.style.top) || window.innerHeight / 2
+    };
+}
+
+/**
+ * Back: close the topmost layer
+ * Priority: remap screen > keyboard help > lightbox > out-of-funds > wiki > part menu
+ */
+function back() {
+    if (isRemapOpen()) {
+        closeRemapOverlay();
+        return true;
+    }
+    if (isKeyboardHelpOpen()) {
+        closeKeyboardHelp();
+        return true;
+    }
+    if (isVisible('wiki-image-lightbox')) return callSceneUI('closeLightbox');
+    if (isVisible('out-of-funds-overlay')) return callSceneUI('hideOutOfFundsPopup');
+    if (isVisible('porsche-history-overlay')) return callSceneUI('hidePorscheHistory');
+    if (isVisible('part-menu-overlay')) return callSceneUI('hidePartMenu');
+    return false;
+}
+
+/**
+ * Toggle the Porsche history article
+ */
+function toggleWiki() {
+    return callSceneUI(isVisible('porsche-history-overlay') ? 'hidePorscheHistory' : 'showPorscheHistory');
+}
+
+/**
+ * Select: enter the experience from the intro screen, activate the focused overlay element, or
+ * click the part under the cursor
+ */
+function select() {
+    if (getEnterState() === 'ready') return enter();
+    if (getActiveOverlay()) {
+        activateFocus();
+        return;
+    }
+    const { x, y } = getCursorPosition();
+    return callSceneUI('clickAt', x, y);
+}
+
+/**
+ * Step parts (lightbox items while the lightbox is open, sections in the history article)
+ * Works from the part menu too, moving the menu to the neighbouring part
+ */
+function cyclePart(direction) {
+    const overlay = getActiveOverlay();
+    if (overlay === 'lightbox') {
+        navigateLightbox(direction);
+        return;
+    }
+    if (overlay === 'history') return jumpSection(direction);
+    if (overlay && overlay !== 'partMenu') return false;
+
+    return direction === 'prev' ? cyclePartPrevious() : cyclePartNext();
+}
+
+/**
+ * Jump the lightbox to an item of its gallery; payload { index }
+ */
+function lightboxGoTo({ index }) {
+    if (getActiveOverlay() !== 'lightbox' || !Number.isInteger(index)) return false;
+    return callSceneUI('showImageLightbox', null, index);
+}
+
+/**
+ * Enter/exit fullscreen (the legacy fullscreenchange listener keeps the button icon in sync)
+ */
+function toggleFullscreen() {
+    const request = document.fullscreenElement
+        ? document.exitFullscreen()
+        : document.documentElement.requestFullscreen();
+    request.catch(err => console.error('[Actions] Fullscreen toggle failed:', err));
+}
+
+/**
+ * Play/pause the music through the music button (the audio engine's player once loaded, else the 3D code's)
+ */
+function toggleMusic() {
+    const button = document.getElementById('music-player');
+    if (!button) return false;
+    button.click();
+}
+
+/**
+ * Orbit the camera; payload { x, y } in stick units (sensitivity already applied)
+ */
+function orbit({ x = 0, y = 0 }) {
+    if (Math.abs(x) < 0.01 && Math.abs(y) < 0.01) return false;
+    if (!orbitCamera(x * ORBIT_STEP, y * ORBIT_STEP)) return false;
+    clearView();
+}
+
+/**
+ * Zoom the camera; payload { delta }, positive moves closer
+ */
+function zoom({ delta = 0 }) {
+    if (Math.abs(delta) < 0.01) return false;
+    if (!zoomCamera(delta * ZOOM_STEP)) return false;
+    clearView();
+}
+
+/**
+ * Fly to a camera preset: 'prev'/'next' or a view name
+ * Not while an overlay (including the part menu) is open; its own camera focus owns the view then
+ */
+function changeView(which) {
+    if (getActiveOverlay()) return false;
+    if (which === 'prev') return previousView();
+    if (which === 'next') return nextView();
+    return flyToView(which);
+}
+
+/**
+ * Move the aim cursor; payload { dx, dy } in pixels
+ * Only active when auto-rotate is disabled
+ */
+function aim({ dx = 0, dy = 0 }) {
+    if (isTurntableActive()) return false;
+    if (Math.abs(dx) < 0.01 && Math.abs(dy) < 0.01) return false;
+
+    const cursor = document.getElementById('cursor-cross');
+    if (!cursor) return false;
+
+    const current = getCursorPosition();
+    const x = Math.max(0, Math.min(window.innerWidth, current.x + dx));
+    const y = Math.max(0, Math.min(window.innerHeight, current.y + dy));
+    cursor.style.left = `${x}px`;
+    cursor.style.top = `${y}px`;
+
+    // Run the scene's hover picking at the new cursor position
+    return callSceneUI('hoverAt', x, y);
+}
+
+/**
+ * Register the app's actions and route on-screen buttons through them
+ */
+export function initAppActions() {
+    defineAction('select', select);
+    defineAction('back', back);
+    defineAction('toggleWiki', toggleWiki);
+    defineAction('prevPart', () => cyclePart('prev'));
+    defineAction('nextPart', () => cyclePart('next'));
+    defineAction('orbit', orbit);
+    defineAction('zoom', zoom);
+    defineAction('aim', aim);
+    defineAction('prevView', () => changeView('prev'));
+    defineAction('nextView', () => changeView('next'));
+    defineAction('setView', ({ name }) => changeView(name));
+    defineAction('toggleAutoRotate', toggleTurntable);
+    defineAction('toggleFullscreen', toggleFullscreen);
+    defineAction('toggleMusic', toggleMusic);
+    defineAction('toggleMute', toggleMute);
+    defineAction('nextTrack', nextTrack);
+    defineAction('toggleHelp', toggleKeyboardHelp);
+
+    // History article section jumps (no-ops unless the article is open)
+    defineAction('prevSection', () => jumpSection('prev'));
+    defineAction('nextSection', () => jumpSection('next'));
+
+    // History article search (no-ops unless the article is open; stepping needs matches)
+    defineAction('focusSearch', focusSearch);
+    defineAction('searchPrev', () => stepSearch('prev'));
+    defineAction('searchNext', () => stepSearch('next'));
+
+    // Maintenance report: payload { format } - 'json'/'html' download, otherwise the printable page
+    defineAction('maintenanceReport', ({ format } = {}) => (
+        format ? downloadMaintenanceReport(format) : openMaintenanceReport()
+    ));
+
+    // Configurator build (no-ops until the configurator has loaded; undo/redo need history)
+    defineAction('undoChoice', undoChoice);
+    defineAction('redoChoice', redoChoice);
+    defineAction('exportBuild', exportBuild);
+
+    // Lightbox gallery jump: payload { index } (no-op unless the lightbox is open)
+    defineAction('lightboxGoTo', lightboxGoTo);
+
+    // Lightbox video playback (no-ops unless the lightbox is showing a video): payload { seconds } for seeking
+    defineAction('videoTogglePlay', toggleVideoPlay);
+    defineAction('videoToggleMute', toggleVideoMute);
+    defineAction('videoToggleLoop', toggleVideoLoop);
+    defineAction('videoSeek', ({ seconds = 0 }) => seekVideo(seconds));
+
+    // Lightbox image zoom/pan: payload { delta, animate } (positive zooms in) / { dx, dy } in pixels
+    defineAction('lightboxZoom', ({ delta = 0, animate = false }) => zoomLightbox(delta, animate));
+    defineAction('lightboxPan', ({ dx = 0, dy = 0 }) => panLightbox(dx, dy));
+
+    // Overlay focus navigation: payload { direction } / { deltaY }
+    defineAction('focusMove', ({ direction }) => {
+        if (!getActiveOverlay()) return false;
+        moveFocus(direction);
+    });
+    defineAction('scroll', ({ deltaY = 0 }) => {
+        if (!getActiveOverlay()) return false;
+        scrollOverlay(deltaY);
+    });
+
+    bindButton('book-button', 'toggleWiki');
+    bindButton('rotate-button', 'toggleAutoRotate');
+    bindButton('gamepad-remap-close', 'back');
+    bindButton('build-undo', 'undoChoice');
+    bindButton('build-redo', 'redoChoice');
+    bindButton('build-export', 'exportBuild');
+    bindButton('audio-mute', 'toggleMute');
+    bindButton('audio-next-track', 'nextTrack');
+
+    // The rotate button reflects the turntable's on/off state
+    const rotateButton = document.getElementById('rotate-button');
+    if (rotateButton) {
+        rotateButton.classList.toggle('paused', !isTurntableEnabled());
+        subscribeTurntable(({ enabled }) => rotateButton.classList.toggle('paused', !enabled));
+    }
+}
@@ -0,0 +1,257 @@
+// Gamepad binding profiles
+// Maps named actions to buttons/axes per controller id and persists them to localStorage
+
+import { isStandardMapping, detectTriggerAxes, getAxisRange } from './calibration.js';
+
+const STORAGE_KEY = 'carholo.gamepadBindings';
+
+// Named actions, in the order the remap screen walks through them
+export const ACTIONS = [
+    'select',
+    'back',
+    'toggleWiki',
+    'prevPart',
+    'nextPart',
+    'prevView',
+    'nextView',
+    'zoomIn',
+    'zoomOut',
+    'navUp',
+    'navDown',
+    'navLeft',
+    'navRight',
+    'orbit',
+    'aim'
+];
+
+// Actions bound to a whole stick (two axes) rather than a single button/trigger
+export const STICK_ACTIONS = ['orbit', 'aim'];
+
+export const ACTION_LABELS = {
+    select: 'Select part',
+    back: 'Close / Back',
+    toggleWiki: 'Toggle history',
+    prevPart: 'Previous part',
+    nextPart: 'Next part',
+    prevView: 'Previous camera view',
+    nextView: 'Next camera view',
+    zoomIn: 'Zoom in',
+    zoomOut: 'Zoom out',
+    navUp: 'Menu up',
+    navDown: 'Menu down',
+    navLeft: 'Menu left',
+    navRight: 'Menu right',
+    orbit: 'Orbit camera',
+    aim: 'Aim cursor'
+};
+
+// Default layout (Xbox/PS controller, standard mapping)
+const DEFAULT_BINDINGS = {
+    select: [{ type: 'button', index: 0 }],      // A
+    back: [{ type: 'button', index: 1 }, { type: 'button', index: 8 }], // B, BACK
+    toggleWiki: [{ type: 'button', index: 9 }],  // START
+    prevPart: [{ type: 'button', index: 4 }],    // LB
+    nextPart: [{ type: 'button', index: 5 }],    // RB
+    prevView: [{ type: 'button', index: 2 }],    // X
+    nextView: [{ type: 'button', index: 3 }],    // Y
+    zoomIn: [{ type: 'button', index: 7 }],      // RT
+    zoomOut: [{ type: 'button', index: 6 }],     // LT
+    navUp: [{ type: 'button', index: 12 }],      // D-pad up
+    navDown: [{ type: 'button', index: 13 }],    // D-pad down
+    navLeft: [{ type: 'button', index: 14 }],    // D-pad left
+    navRight: [{ type: 'button', index: 15 }],   // D-pad right
+    orbit: { type: 'stick', x: 2, y: 3 },        // Right stick
+    aim: { type: 'stick', x: 0, y: 1 }           // Left stick
+};
+
+const DEFAULT_SENSITIVITY = {
+    orbit: 2.0,
+    aim: 1.5,
+    zoom: 0.5
+};
+
+const DEFAULT_DEADZONE = 0.15;
+
+// 'radial' treats the stick as one vector (smooth diagonals); 'axial' clips each axis separately
+const DEFAULT_DEADZONE_TYPE = 'radial';
+
+let storedProfiles = null;
+
+// Resolved profiles per controller id, so the poll loop doesn't re-merge every frame
+const profileCache = new Map();
+
+/**
+ * Load all stored profiles (keyed by controller id)
+ */
+function loadProfiles() {
+    if (storedProfiles) return storedProfiles;
+    try {
+        const raw = localStorage.getItem(STORAGE_KEY);
+        storedProfiles = raw ? JSON.parse(raw) : {};
+    } catch (err) {
+        console.warn('[Bindings] Could not read stored profiles:', err);
+        storedProfiles = {};
+    }
+    return storedProfiles;
+}
+
+/**
+ * Write all profiles back to localStorage
+ */
+function persistProfiles() {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(storedProfiles || {}));
+    } catch (err) {
+        console.warn('[Bindings] Could not save profiles:', err);
+    }
+}
+
+/**
+ * Build a fresh default profile for a gamepad
+ * Standard-mapping pads use the default layout as is; other pads get their triggers
+ * from calibrated axes when the calibration shows trigger-like axes
+ */
+export function createDefaultProfile(gamepad) {
+    const bindings = JSON.parse(JSON.stringify(DEFAULT_BINDINGS));
+
+    if (gamepad && !isStandardMapping(gamepad)) {
+        const triggers = detectTriggerAxes(gamepad);
+        if (triggers.length >= 2) {
+            // Triggers travel away from their resting extreme; rest/range come from calibration
+            const [left, right] = triggers;
+            bindings.zoomOut = [{ type: 'axis', index: left.index, direction: left.rest > 0 ? -1 : 1 }];
+            bindings.zoomIn = [{ type: 'axis', index: right.index, direction: right.rest > 0 ? -1 : 1 }];
+        }
+    }
+
+    return {
+        id: gamepad?.id || 'default',
+        bindings,
+        sensitivity: { ...DEFAULT_SENSITIVITY },
+        deadzone: DEFAULT_DEADZONE,
+        deadzoneType: DEFAULT_DEADZONE_TYPE
+    };
+}
+
+/**
+ * Get the binding profile for a gamepad (stored profile merged over defaults)
+ */
+export function getProfile(gamepad) {
+    const id = gamepad?.id || 'default';
+    const stored = loadProfiles()[id];
+    const profile = createDefaultProfile(gamepad);
+    if (!stored) return profile;
+
+    return {
+        ...profile,
+        bindings: { ...profile.bindings, ...stored.bindings },
+        sensitivity: { ...profile.sensitivity, ...stored.sensitivity },
+        deadzone: typeof stored.deadzone === 'number' ? stored.deadzone : profile.deadzone,
+        deadzoneType: stored.deadzoneType || profile.deadzoneType
+    };
+}
+
+/**
+ * Save a full profile for its controller id
+ */
+export function saveProfile(profile) {
+    if (!profile || !profile.id) return;
+    loadProfiles()[profile.id] = {
+        bindings: profile.bindings,
+        sensitivity: profile.sensitivity,
+        deadzone: profile.deadzone,
+        deadzoneType: profile.deadzoneType
+    };
+    persistProfiles();
+    profileCache.delete(profile.id);
+}
+
+/**
+ * Remove the stored profile for a controller id (falls back to defaults)
+ */
+export function resetProfile(id) {
+    delete loadProfiles()[id];
+    persistProfiles();
+    profileCache.delete(id);
+}
+
+/**
+ * Drop the cached profile for a controller id (e.g. after recalibrating)
+ */
+export function invalidateProfile(id) {
+    profileCache.delete(id);
+}
+
+/**
+ * Cached variant of getProfile for use in the poll loop
+ */
+export function getCachedProfile(gamepad) {
+    const id = gamepad?.id || 'default';
+    if (!profileCache.has(id)) {
+        profileCache.set(id, getProfile(gamepad));
+    }
+    return profileCache.get(id);
+}
+
+/**
+ * Read a single button/axis binding as a 0..1 value
+ */
+export function readInput(gamepad, input) {
+    if (!gamepad || !input) return 0;
+
+    if (input.type === 'button') {
+        const button = gamepad.buttons[input.index];
+        if (!button) return 0;
+        return button.value || (button.pressed ? 1 : 0);
+    }
+
+    if (input.type === 'axis') {
+        const value = gamepad.axes[input.index];
+        if (value === undefined) return 0;
+        // Normalize from the resting value towards the bound direction (e.g. triggers resting at -1);
+        // calibration supplies rest/travel unless the binding captured its own resting value
+        const direction = input.direction || 1;
+        const calibrated = getAxisRange(gamepad, input.index, direction);
+        const rest = typeof input.rest === 'number' ? input.rest : calibrated.rest;
+        const range = calibrated.extreme - rest;
+        if (Math.abs(range) < 0.001) return 0;
+        return Math.max(0, Math.min(1, (value - rest) / range));
+    }
+
+    return 0;
+}
+
+/**
+ * Read an action's value (0..1), taking the strongest of its bound inputs
+ */
+export function readAction(gamepad, profile, action) {
+    const inputs = profile.bindings[action];
+    if (!Array.isArray(inputs)) return 0;
+    return inputs.reduce((max, input) => Math.max(max, readInput(gamepad, input)), 0);
+}
+
+/**
+ * Read a stick action's raw axes
+ */
+export function readStick(gamepad, profile, action) {
+    const stick = profile.bindings[action];
+    if (!gamepad || !stick || stick.type !== 'stick') return { x: 0, y: 0 };
+    return {
+        x: gamepad.axes[stick.x] || 0,
+        y: gamepad.axes[stick.y] || 0
+    };
+}
+
+/**
+ * Human readable label for a binding (used by the remap screen)
+ */
+export function describeBinding(binding) {
+    if (!binding) return '—';
+    if (Array.isArray(binding)) {
+        return binding.length ? binding.map(describeBinding).join(' / ') : '—';
+    }
+    if (binding.type === 'button') return `Button ${binding.index}`;
+    if (binding.type === 'axis') return `Axis ${binding.index}${binding.direction < 0 ? '−' : '+'}`;
+    if (binding.type === 'stick') return `Axes ${binding.x}/${binding.y}`;
+    return '—';
+}
@@ -0,0 +1,137 @@
+// Per-device axis calibration for non-standard gamepads
+// Captures each axis' resting value and travel so triggers/sticks can be normalized reliably
+
+const STORAGE_KEY = 'carholo.gamepadCalibration';
+
+// An axis resting this close to ±1 behaves like an analog trigger (e.g. Firefox on DualSense/8BitDo)
+const TRIGGER_REST_THRESHOLD = 0.9;
+
+// Minimum travel before a captured range is trusted over the nominal -1..1
+const MIN_RANGE = 0.2;
+
+let storedCalibrations = null;
+
+/**
+ * Load all stored calibrations (keyed by controller id)
+ */
+function loadCalibrations() {
+    if (storedCalibrations) return storedCalibrations;
+    try {
+        const raw = localStorage.getItem(STORAGE_KEY);
+        storedCalibrations = raw ? JSON.parse(raw) : {};
+    } catch (err) {
+        console.warn('[Calibration] Could not read stored calibration:', err);
+        storedCalibrations = {};
+    }
+    return storedCalibrations;
+}
+
+/**
+ * Write all calibrations back to localStorage
+ */
+function persistCalibrations() {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(storedCalibrations || {}));
+    } catch (err) {
+        console.warn('[Calibration] Could not save calibration:', err);
+    }
+}
+
+/**
+ * Round to two decimals (keeps stored values readable and stable)
+ */
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+/**
+ * Get the calibration for a gamepad, or null if none was captured yet
+ */
+export function getCalibration(gamepad) {
+    if (!gamepad) return null;
+    return loadCalibrations()[gamepad.id] || null;
+}
+
+/**
+ * Whether the pad reports the W3C standard layout (triggers on buttons 6/7, sticks on axes 0-3)
+ */
+export function isStandardMapping(gamepad) {
+    return gamepad?.mapping === 'standard';
+}
+
+/**
+ * Capture resting values for every axis (pad must be untouched); kept in memory until saveCalibration()
+ */
+export function captureResting(gamepad) {
+    if (!gamepad) return null;
+    const calibration = {
+        axes: Array.from(gamepad.axes).map(value => ({
+            rest: round(value),
+            min: round(value),
+            max: round(value)
+        }))
+    };
+    loadCalibrations()[gamepad.id] = calibration;
+    console.log('[Calibration] Resting values captured for', gamepad.id);
+    return calibration;
+}
+
+/**
+ * Widen the captured range of each axis with the current sample
+ */
+export function sampleRange(gamepad) {
+    const calibration = getCalibration(gamepad) || captureResting(gamepad);
+    Array.from(gamepad.axes).forEach((value, i) => {
+        const axis = calibration.axes[i] || (calibration.axes[i] = { rest: round(value), min: round(value), max: round(value) });
+        axis.min = Math.min(axis.min, round(value));
+        axis.max = Math.max(axis.max, round(value));
+    });
+    return calibration;
+}
+
+/**
+ * Persist the current calibration (after sampling ranges)
+ */
+export function saveCalibration() {
+    persistCalibrations();
+}
+
+/**
+ * Drop calibration changes that were never saved (reloads the stored ones)
+ */
+export function discardCalibration() {
+    storedCalibrations = null;
+}
+
+/**
+ * Drop the calibration for a controller id
+ */
+export function resetCalibration(id) {
+    delete loadCalibrations()[id];
+    persistCalibrations();
+}
+
+/**
+ * Resting value and full-travel extreme for an axis in the given direction
+ */
+export function getAxisRange(gamepad, index, direction = 1) {
+    const axis = getCalibration(gamepad)?.axes[index];
+    const rest = axis ? axis.rest : 0;
+    let extreme = direction > 0 ? 1 : -1;
+    if (axis) {
+        const captured = direction > 0 ? axis.max : axis.min;
+        if (Math.abs(captured - rest) >= MIN_RANGE) extreme = captured;
+    }
+    return { rest, extreme };
+}
+
+/**
+ * Find axes that behave like analog triggers (resting at an extreme)
+ */
+export function detectTriggerAxes(gamepad) {
+    const calibration = getCalibration(gamepad);
+    if (!calibration) return [];
+    return calibration.axes
+        .map((axis, index) => ({ index, rest: axis.rest }))
+        .filter(axis => Math.abs(axis.rest) >= TRIGGER_REST_THRESHOLD);
+}
@@ -0,0 +1,232 @@
+// Spatial focus navigation for overlays (part menu, history article, lightbox, keyboard help)
+// Moves a visible focus ring between interactive elements of whichever overlay is open
+
+const FOCUS_CLASS = 'gamepad-focus';
+const SCROLL_STEP = 120; // px scrolled when there is nothing further to focus in that direction
+
+// Overlay detection in priority order (topmost first)
+const OVERLAYS = [
+    {
+        name: 'keyboardHelp',
+        element: 'keyboard-help-overlay',
+        focusables: '#keyboard-help-close'
+    },
+    {
+        name: 'lightbox',
+        element: 'wiki-image-lightbox',
+        focusables: [
+            '#wiki-lightbox-prev',
+            '#wiki-lightbox-next',
+            '#wiki-lightbox-close',
+            '#wiki-lightbox-filmstrip .wiki-lightbox-thumb',
+            '#wiki-lightbox-video-controls .wiki-lightbox-video-button'
+        ].join(', ')
+    },
+    {
+        name: 'outOfFunds',
+        element: 'out-of-funds-overlay',
+        focusables: '#out-of-funds-button'
+    },
+    {
+        name: 'history',
+        element: 'porsche-history-overlay',
+        focusables: [
+            '#porsche-history-close',
+            '#porsche-history-search .porsche-history-search-button',
+            '#porsche-history-toc .porsche-history-toc-link',
+            '#porsche-history-content .porsche-history-image img',
+            '#porsche-history-content .porsche-history-fullwidth-image img',
+            '#porsche-history-content .porsche-history-image video',
+            '#porsche-history-content .porsche-history-fullwidth-image video',
+            '#porsche-history-content .porsche-history-done-button',
+            '#porsche-history-content .porsche-history-buy-button'
+        ].join(', '),
+        scrollContainer: 'porsche-history-content'
+    },
+    {
+        name: 'partMenu',
+        element: 'part-menu-overlay',
+        focusables: '#part-menu-options .part-menu-option, #part-menu-close'
+    }
+];
+
+let focusedElement = null;
+let focusedOverlay = null;
+
+/**
+ * Get the topmost visible overlay config, or null
+ */
+function getOverlayConfig() {
+    return OVERLAYS.find(overlay => {
+        const el = document.getElementById(overlay.element);
+        return el && el.classList.contains('visible');
+    }) || null;
+}
+
+/**
+ * Name of the topmost visible overlay ('keyboardHelp', 'lightbox', 'outOfFunds', 'history', 'partMenu') or null
+ */
+export function getActiveOverlay() {
+    const overlay = getOverlayConfig();
+    return overlay ? overlay.name : null;
+}
+
+/**
+ * Check whether an element is rendered and (for scrolling overlays) inside the visible area
+ */
+function isNavigable(el, overlay) {
+    const rect = el.getBoundingClientRect();
+    if (rect.width === 0 || rect.height === 0) return false;
+    if (el.disabled) return false;
+
+    if (overlay.scrollContainer) {
+        const container = document.getElementById(overlay.scrollContainer);
+        if (container && container.contains(el)) {
+            const bounds = container.getBoundingClientRect();
+            return rect.bottom > bounds.top && rect.top < bounds.bottom;
+        }
+    }
+    return true;
+}
+
+/**
+ * Candidate elements for the given overlay
+ */
+function getFocusables(overlay) {
+    return Array.from(document.querySelectorAll(overlay.focusables))
+        .filter(el => isNavigable(el, overlay));
+}
+
+/**
+ * Center point of an element
+ */
+function centerOf(el) {
+    const rect = el.getBoundingClientRect();
+    return { x: rect.left + rect.width / 2, y: rect.top + rect.height / 2 };
+}
+
+/**
+ * Apply the focus ring to an element
+ */
+function setFocus(el, overlay) {
+    if (focusedElement === el) return;
+    if (focusedElement) focusedElement.classList.remove(FOCUS_CLASS);
+
+    focusedElement = el;
+    focusedOverlay = overlay ? overlay.name : null;
+    if (!el) return;
+
+    el.classList.add(FOCUS_CLASS);
+    // Hover styles/sounds in the legacy UI hang off mouseenter
+    el.dispatchEvent(new MouseEvent('mouseenter', { bubbles: false }));
+    if (overlay && overlay.scrollContainer) {
+        el.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+    }
+}
+
+/**
+ * Remove the focus ring
+ */
+export function clearFocus() {
+    setFocus(null, null);
+}
+
+/**
+ * Find the nearest candidate in a direction from the current element
+ * Distance along the direction counts once, sideways offset counts double
+ */
+function findNearest(from, candidates, direction) {
+    const origin = centerOf(from);
+    const vector = {
+        up: { x: 0, y: -1 },
+        down: { x: 0, y: 1 },
+        left: { x: -1, y: 0 },
+        right: { x: 1, y: 0 }
+    }[direction];
+
+    let best = null;
+    let bestScore = Infinity;
+    candidates.forEach(el => {
+        if (el === from) return;
+        const center = centerOf(el);
+        const dx = center.x - origin.x;
+        const dy = center.y - origin.y;
+        const along = dx * vector.x + dy * vector.y;
+        if (along <= 1) return;
+        const across = Math.abs(dx * vector.y - dy * vector.x);
+        const score = along + across * 2;
+        if (score < bestScore) {
+            bestScore = score;
+            best = el;
+        }
+    });
+    return best;
+}
+
+/**
+ * Move focus in a direction ('up', 'down', 'left', 'right')
+ * In scrolling overlays, scrolls the content when nothing is further in that direction
+ */
+export function moveFocus(direction) {
+    const overlay = getOverlayConfig();
+    if (!overlay) return;
+
+    const candidates = getFocusables(overlay);
+    const current = focusedOverlay === overlay.name && candidates.includes(focusedElement)
+        ? focusedElement
+        : null;
+
+    if (!current) {
+        setFocus(candidates[0] || null, overlay);
+        return;
+    }
+
+    const next = findNearest(current, candidates, direction);
+    if (next) {
+        setFocus(next, overlay);
+    } else if (overlay.scrollContainer && (direction === 'up' || direction === 'down')) {
+        scrollOverlay(direction === 'down' ? SCROLL_STEP : -SCROLL_STEP);
+    }
+}
+
+/**
+ * Activate (click) the focused element; focuses the first element if nothing is focused yet
+ */
+export function activateFocus() {
+    const overlay = getOverlayConfig();
+    if (!overlay) return;
+
+    if (!focusedElement || focusedOverlay !== overlay.name || !document.contains(focusedElement)) {
+        setFocus(getFocusables(overlay)[0] || null, overlay);
+        return;
+    }
+    focusedElement.click();
+}
+
+/**
+ * Scroll the active overlay's content by a pixel amount (no-op for non-scrolling overlays)
+ */
+export function scrollOverlay(deltaY) {
+    const overlay = getOverlayConfig();
+    if (!overlay || !overlay.scrollContainer) return;
+    const container = document.getElementById(overlay.scrollContainer);
+    if (container) container.scrollTop += deltaY;
+}
+
+/**
+ * Step the lightbox to the previous/next item
+ */
+export function navigateLightbox(direction) {
+    const button = document.getElementById(direction === 'prev' ? 'wiki-lightbox-prev' : 'wiki-lightbox-next');
+    if (button && !button.disabled) button.click();
+}
+
+/**
+ * Drop focus that belongs to an overlay that has since closed
+ */
+export function syncFocus() {
+    const overlay = getOverlayConfig();
+    if (focusedElement && (!overlay || overlay.name !== focusedOverlay || !document.contains(focusedElement))) {
+        clearFocus();
+    }
+}
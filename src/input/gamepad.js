@@ -1,79 +1,248 @@
 // Gamepad input handler for 3D car configurator
 // Maps gamepad controls to orbit, zoom, part selection, and UI navigation
+// Buttons/axes are resolved per controller through the binding profile (see bindings.js)
+// and dispatched as named actions (see actions.js)
 
-const DEADZONE = 0.15;
-const SENSITIVITY = {
-    orbit: 2.0,
-    aim: 1.5,
-    zoom: 0.5
-};
+import { getCachedProfile, invalidateProfile, readAction, readStick } from './bindings.js';
+import { isStandardMapping, getCalibration, captureResting, saveCalibration } from './calibration.js';
+import { openRemapOverlay, isRemapOpen } from '../ui/gamepadRemap.js';
+import { getActiveOverlay, syncFocus } from './focusNav.js';
+import { dispatch } from './actions.js';
+import { isTurntableActive, steerTurntable } from '../scene/turntable.js';
+import { rumble, setRumbleTarget, isRumbleEnabled, toggleRumble } from './rumble.js';
+import { isLightboxVideoActive } from '../ui/lightboxVideo.js';
+import { isLightboxImageActive } from '../ui/lightboxZoom.js';
+import { hasSearchMatches } from '../ui/articleSearch.js';
 
-let gamepadConnected = false;
-let gamepadIndex = -1;
+const MODE_STORAGE_KEY = 'carholo.gamepadMode';
+
+// 'single': the active pad drives everything; 'split': a second pad drives orbit/zoom
+let controllerMode = 'single';
+let activeIndex = -1;
 let animationFrameId = null;
 let lastButtonStates = new Set();
+let anyButtonStates = new Map(); // pad index -> whether any button was held last frame
+let stickNavState = { direction: null, nextAt: 0 }; // left-stick focus navigation auto-repeat
+let lastOverlay = null; // Overlay open on the previous frame, for open/close rumble
+const activityListeners = new Set();
+
+// Both stick presses together open the remap screen (not remappable, so it always works)
+const REMAP_COMBO = [10, 11];
+
+// Analog value above which a bound trigger/axis counts as "pressed" for button actions
+const PRESS_THRESHOLD = 0.5;
+
+// Overlay navigation with the stick: deflection needed, first repeat delay and repeat rate (ms)
+const STICK_NAV_THRESHOLD = 0.6;
+const STICK_NAV_DELAY = 400;
+const STICK_NAV_REPEAT = 180;
+
+// Pixels per frame the right stick scrolls overlay content at full deflection
+const OVERLAY_SCROLL_SPEED = 18;
+
+// Lightbox image zoom per frame at full trigger (zoom input units) and pan speed at full stick (px/frame)
+const LIGHTBOX_ZOOM_SPEED = 0.12;
+const LIGHTBOX_PAN_SPEED = 16;
+
+// Seconds per frame the right stick scrubs a lightbox video at full deflection
+const VIDEO_SCRUB_SPEED = 0.5;
 
-// Gamepad button mappings (Xbox/PS controller layout)
-const BUTTONS = {
-    A: 0,        // Select part
-    B: 1,        // Close/Back
-    X: 2,
-    Y: 3,
-    LB: 4,       // L1 - Previous part
-    RB: 5,       // R1 - Next part
-    LT: 6,       // Left Trigger - Zoom out
-    RT: 7,       // Right Trigger - Zoom in
-    BACK: 8,     // Close overlay
-    START: 9,    // Toggle wiki
-    LS: 10,      // Left Stick press
-    RS: 11       // Right Stick press
-};
-
-// Axes mappings
-const AXES = {
-    LS_X: 0,    // Left Stick X - Aim/cursor X
-    LS_Y: 1,    // Left Stick Y - Aim/cursor Y (inverted)
-    RS_X: 2,    // Right Stick X - Orbit horizontal
-    RS_Y: 3,    // Right Stick Y - Orbit vertical (inverted)
-    LT: 4,      // Left Trigger
-    RT: 5       // Right Trigger
-};
+// Axis travel from rest that counts as input for activity listeners (well clear of stick drift)
+const ACTIVITY_THRESHOLD = 0.5;
 
 /**
- * Get active gamepad or null
+ * Get all connected gamepads
  */
-function getGamepad() {
-    const gamepads = navigator.getGamepads();
-    if (gamepadIndex >= 0 && gamepadIndex < gamepads.length && gamepads[gamepadIndex]) {
-        return gamepads[gamepadIndex];
+function getConnectedGamepads() {
+    return Array.from(navigator.getGamepads()).filter(Boolean);
+}
+
+/**
+ * Listen for any gamepad input (a button held or an axis pushed), checked on every poll
+ * A listener returning true consumes the input: it won't trigger actions (used to wake kiosk mode)
+ * Returns an unsubscribe function
+ */
+export function subscribeGamepadActivity(listener) {
+    activityListeners.add(listener);
+    return () => activityListeners.delete(listener);
+}
+
+/**
+ * Whether a pad has a button held or an axis away from its resting value
+ */
+function hasInput(gamepad) {
+    if (gamepad.buttons.some(b => b.pressed)) return true;
+    const axes = getCalibration(gamepad)?.axes || [];
+    return Array.from(gamepad.axes).some((value, i) => Math.abs(value - (axes[i]?.rest ?? 0)) > ACTIVITY_THRESHOLD);
+}
+
+/**
+ * Tell activity listeners about input; true when one of them consumed it
+ */
+function notifyActivity(gamepads) {
+    if (!activityListeners.size || !gamepads.some(hasInput)) return false;
+    let consumed = false;
+    activityListeners.forEach(listener => {
+        if (listener() === true) consumed = true;
+    });
+    return consumed;
+}
+
+/**
+ * Resolve which pad drives what
+ * The active pad always owns aim, selection and buttons; in split mode the next pad owns orbit/zoom
+ */
+function resolveRoles(gamepads) {
+    const active = gamepads.find(gp => gp.index === activeIndex) || gamepads[0] || null;
+    let camera = active;
+    if (controllerMode === 'split' && active) {
+        camera = gamepads.find(gp => gp.index !== active.index) || active;
     }
-    // Try to find first connected gamepad
-    for (let i = 0; i < gamepads.length; i++) {
-        if (gamepads[i]) {
-            gamepadIndex = i;
-            return gamepads[i];
+    return { active, camera };
+}
+
+/**
+ * Switch the active pad when another pad presses a button (single mode only)
+ */
+function updateActiveFromInput(gamepads) {
+    gamepads.forEach(gp => {
+        const anyPressed = gp.buttons.some(b => b.pressed);
+        const wasPressed = anyButtonStates.get(gp.index) || false;
+        anyButtonStates.set(gp.index, anyPressed);
+        
+        if (controllerMode === 'single' && anyPressed && !wasPressed && gp.index !== activeIndex) {
+            console.log('[Gamepad] Active controller:', gp.id, 'Index:', gp.index);
+            setActiveIndex(gp.index);
+            // Don't let the takeover press also trigger its action
+            syncButtonStates(gp, getCachedProfile(gp));
+        }
+    });
+}
+
+/**
+ * Set the active pad (which also receives rumble) and refresh the indicator
+ */
+function setActiveIndex(index) {
+    activeIndex = index;
+    setRumbleTarget(index);
+    renderIndicator();
+}
+
+/**
+ * Render the connected-controller indicator
+ */
+function renderIndicator() {
+    const indicator = document.getElementById('gamepad-indicator');
+    if (!indicator) return;
+    
+    const gamepads = navigator.getGamepads ? getConnectedGamepads() : [];
+    indicator.classList.toggle('visible', gamepads.length > 0);
+    indicator.innerHTML = '';
+    if (!gamepads.length) return;
+    
+    const { active, camera } = resolveRoles(gamepads);
+    gamepads.forEach((gp, i) => {
+        const item = document.createElement('div');
+        item.className = 'gamepad-indicator-pad';
+        let role = '';
+        if (active && gp.index === active.index) {
+            item.classList.add('active');
+            role = controllerMode === 'split' && camera !== active ? 'AIM' : 'ACTIVE';
+        } else if (camera && gp.index === camera.index) {
+            item.classList.add('active');
+            role = 'CAMERA';
         }
+        item.textContent = `P${i + 1}${role ? ` · ${role}` : ''}`;
+        item.title = gp.id;
+        indicator.appendChild(item);
+    });
+    
+    const rumbleToggle = document.createElement('div');
+    rumbleToggle.className = 'gamepad-indicator-rumble';
+    rumbleToggle.classList.toggle('off', !isRumbleEnabled());
+    rumbleToggle.textContent = isRumbleEnabled() ? 'RUMBLE' : 'RUMBLE OFF';
+    rumbleToggle.title = 'Click to toggle controller rumble';
+    indicator.appendChild(rumbleToggle);
+    
+    if (gamepads.length > 1) {
+        const mode = document.createElement('div');
+        mode.className = 'gamepad-indicator-mode';
+        mode.textContent = controllerMode === 'split' ? 'SPLIT' : 'SINGLE';
+        indicator.appendChild(mode);
     }
-    return null;
 }
 
 /**
- * Apply deadzone to stick input
+ * Switch between single (one pad drives everything) and split (second pad drives orbit/zoom) mode
+ */
+export function setControllerMode(mode) {
+    controllerMode = mode === 'split' ? 'split' : 'single';
+    try {
+        localStorage.setItem(MODE_STORAGE_KEY, controllerMode);
+    } catch (err) {
+        // Storage unavailable (private mode) - mode just won't persist
+    }
+    renderIndicator();
+    console.log('[Gamepad] Controller mode:', controllerMode);
+}
+
+/**
+ * Current controller mode ('single' or 'split')
  */
-function applyDeadzone(value) {
-    if (Math.abs(value) < DEADZONE) return 0;
+export function getControllerMode() {
+    return controllerMode;
+}
+
+/**
+ * Apply deadzone to a single axis
+ */
+function applyAxisDeadzone(value, deadzone) {
+    if (Math.abs(value) < deadzone) return 0;
     // Normalize after deadzone
     const sign = value >= 0 ? 1 : -1;
     const absValue = Math.abs(value);
-    return sign * ((absValue - DEADZONE) / (1 - DEADZONE));
+    return sign * ((absValue - deadzone) / (1 - deadzone));
+}
+
+/**
+ * Apply deadzone to stick input
+ * Radial (default) uses the stick's magnitude so diagonals stay smooth; axial clips each axis
+ */
+function applyDeadzone(stick, profile) {
+    const deadzone = profile.deadzone;
+    if (profile.deadzoneType === 'axial') {
+        return {
+            x: applyAxisDeadzone(stick.x, deadzone),
+            y: applyAxisDeadzone(stick.y, deadzone)
+        };
+    }
+    
+    const magnitude = Math.hypot(stick.x, stick.y);
+    if (magnitude < deadzone) return { x: 0, y: 0 };
+    // Rescale so output starts at 0 just outside the deadzone and caps at 1
+    const scaled = Math.min(1, (magnitude - deadzone) / (1 - deadzone));
+    return {
+        x: (stick.x / magnitude) * scaled,
+        y: (stick.y / magnitude) * scaled
+    };
+}
+
+/**
+ * Capture resting axis values for non-standard pads that have no calibration yet
+ * Skipped while buttons are held (the connect event often fires on the first press)
+ */
+function ensureCalibration(gamepad) {
+    if (isStandardMapping(gamepad) || getCalibration(gamepad)) return;
+    if (gamepad.buttons.some(b => b.pressed)) return;
+    captureResting(gamepad);
+    saveCalibration();
+    invalidateProfile(gamepad.id);
 }
 
 /**
- * Check if button was just pressed (not held)
+ * Track pressed state under a key and report the rising edge
  */
-function isButtonPressed(gamepad, buttonIndex) {
-    const isPressed = gamepad.buttons[buttonIndex]?.pressed || false;
-    const key = `${gamepadIndex}-${buttonIndex}`;
+function detectPress(key, isPressed) {
     const wasPressed = lastButtonStates.has(key);
     
     if (isPressed && !wasPressed) {
@@ -87,335 +256,206 @@ function isButtonPressed(gamepad, buttonIndex) {
 }
 
 /**
- * Get OrbitControls from Three.js scene (if available)
+ * Check if an action was just pressed (not held), resolved through the binding profile
  */
-function getOrbitControls() {
-    // Try window globals first
-    if (window.orbitControls) return window.orbitControls;
-    
-    // Try to find through canvas/Three.js scene
-    const canvas = document.querySelector('canvas');
-    if (!canvas) return null;
-    
-    // Check if Three.js scene is attached to canvas
-    if (canvas.__threejs && canvas.__threejs.controls) {
-        return canvas.__threejs.controls;
-    }
-    
-    // Try accessing through Three.js renderer
-    if (window.renderer && window.renderer.domElement) {
-        const renderer = window.renderer;
-        if (renderer.__controls) return renderer.__controls;
-    }
-    
-    return null;
+function isActionPressed(gamepad, profile, action) {
+    const isPressed = readAction(gamepad, profile, action) > PRESS_THRESHOLD;
+    return detectPress(`${gamepad.index}-${action}`, isPressed);
+}
+
+/**
+ * Check whether all buttons of a combo are held, firing once per hold
+ */
+function isComboPressed(gamepad, buttons) {
+    const isPressed = buttons.every(index => gamepad.buttons[index]?.pressed);
+    return detectPress(`${gamepad.index}-combo-${buttons.join('+')}`, isPressed);
 }
 
 /**
  * Handle orbit controls (Right Stick)
  */
-function handleOrbit(gamepad) {
-    const rsX = applyDeadzone(gamepad.axes[AXES.RS_X]);
-    const rsY = applyDeadzone(gamepad.axes[AXES.RS_Y]);
-    
-    if (Math.abs(rsX) < 0.01 && Math.abs(rsY) < 0.01) return;
-    
-    const controls = getOrbitControls();
-    if (!controls) {
-        // Fallback: simulate mouse drag for orbit
-        const canvas = document.querySelector('canvas');
-        if (canvas) {
-            const centerX = canvas.width / 2;
-            const centerY = canvas.height / 2;
-            
-            // Simulate mouse drag
-            const moveEvent = new MouseEvent('mousemove', {
-                clientX: centerX + rsX * 50,
-                clientY: centerY + rsY * 50,
-                buttons: 1, // Left button pressed
-                bubbles: true
-            });
-            canvas.dispatchEvent(moveEvent);
-        }
-        return;
-    }
-    
-    // Orbit horizontally (azimuth)
-    if (Math.abs(rsX) > 0.01) {
-        controls.rotateLeft(rsX * SENSITIVITY.orbit * 0.02);
-    }
-    
-    // Orbit vertically (polar)
-    if (Math.abs(rsY) > 0.01) {
-        controls.rotateUp(rsY * SENSITIVITY.orbit * 0.02);
-    }
-    
-    controls.update();
+function handleOrbit(gamepad, profile) {
+    const { x, y } = applyDeadzone(readStick(gamepad, profile, 'orbit'), profile);
+    if (Math.abs(x) < 0.01 && Math.abs(y) < 0.01) return;
+    
+    dispatch('orbit', {
+        x: x * profile.sensitivity.orbit,
+        y: y * profile.sensitivity.orbit
+    }, 'gamepad');
 }
 
 /**
  * Handle zoom (Triggers)
  */
-function handleZoom(gamepad) {
-    // Note: Some gamepads use axes[4] and axes[5] for triggers, others use buttons
-    let lt = gamepad.buttons[AXES.LT]?.value || 0;
-    let rt = gamepad.buttons[AXES.RT]?.value || 0;
-    
-    // Some gamepads report triggers as axes (0 to 1 range, but axes are -1 to 1)
-    if (gamepad.axes && gamepad.axes.length > 4) {
-        // Axes 4/5 are often triggers (normalized to -1 to 1, but we want 0 to 1)
-        const ltAxis = gamepad.axes[AXES.LT];
-        const rtAxis = gamepad.axes[AXES.RT];
-        if (ltAxis !== undefined) lt = Math.max(0, (ltAxis + 1) / 2);
-        if (rtAxis !== undefined) rt = Math.max(0, (rtAxis + 1) / 2);
-    }
+function handleZoom(gamepad, profile) {
+    // Standard pads report triggers on buttons 6/7; other pads may bind calibrated axes.
+    // The profile normalizes both to 0..1
+    const lt = readAction(gamepad, profile, 'zoomOut');
+    const rt = readAction(gamepad, profile, 'zoomIn');
     
-    const zoomDelta = (rt - lt) * SENSITIVITY.zoom;
+    const delta = (rt - lt) * profile.sensitivity.zoom;
+    if (Math.abs(delta) < 0.01) return;
     
-    if (Math.abs(zoomDelta) < 0.01) return;
-    
-    const controls = getOrbitControls();
-    if (!controls) {
-        // Fallback: simulate wheel event for zoom
-        const canvas = document.querySelector('canvas');
-        if (canvas) {
-            const wheelEvent = new WheelEvent('wheel', {
-                deltaY: zoomDelta * 100,
-                clientX: canvas.width / 2,
-                clientY: canvas.height / 2,
-                bubbles: true
-            });
-            canvas.dispatchEvent(wheelEvent);
-        }
-        return;
-    }
-    
-    const distance = controls.getDistance ? controls.getDistance() : 5;
-    const newDistance = distance - (zoomDelta * 0.5);
-    
-    // Clamp zoom to reasonable bounds
-    const minDistance = 1.0;
-    const maxDistance = 15.0;
-    const clampedDistance = Math.max(minDistance, Math.min(maxDistance, newDistance));
-    
-    if (Math.abs(clampedDistance - distance) > 0.01) {
-        if (controls.setDistance) {
-            controls.setDistance(clampedDistance);
-            controls.update();
-        } else if (controls.dollyIn && controls.dollyOut) {
-            // Alternative: use dolly methods
-            const delta = clampedDistance - distance;
-            if (delta > 0) {
-                controls.dollyOut(delta);
-            } else {
-                controls.dollyIn(-delta);
-            }
-            controls.update();
-        }
-    }
+    dispatch('zoom', { delta }, 'gamepad');
 }
 
 /**
- * Handle cursor/aim (Left Stick) - simulates mouse movement for part selection
- * Only active when auto-rotate is disabled
+ * Handle cursor/aim (Left Stick) - moves the cursor for part selection
+ * Only active when auto-rotate is disabled (enforced by the aim action)
  */
-function handleAim(gamepad) {
-    // Only handle aim when auto-rotate is disabled
-    if (window.autoRotateEnabled === true) {
-        return;
-    }
-    
-    const lsX = applyDeadzone(gamepad.axes[AXES.LS_X]);
-    const lsY = applyDeadzone(gamepad.axes[AXES.LS_Y]);
-    
-    if (Math.abs(lsX) < 0.01 && Math.abs(lsY) < 0.01) return;
-    
-    // Simulate mouse movement for raycaster
-    if (window.simulateMouseMove) {
-        const deltaX = lsX * SENSITIVITY.aim * 2;
-        const deltaY = -lsY * SENSITIVITY.aim * 2; // Invert Y
-        
-        window.simulateMouseMove(deltaX, deltaY);
-    } else {
-        // Fallback: move cursor directly
-        const cursor = document.getElementById('cursor-cross');
-        if (cursor) {
-            const deltaX = lsX * SENSITIVITY.aim * 2;
-            const deltaY = -lsY * SENSITIVITY.aim * 2; // Invert Y
-            
-            const currentX = parseFloat(cursor.style.left) || window.innerWidth / 2;
-            const currentY = parseFloat(cursor.style.top) || window.innerHeight / 2;
-            
-            const newX = Math.max(0, Math.min(window.innerWidth, currentX + deltaX));
-            const newY = Math.max(0, Math.min(window.innerHeight, currentY + deltaY));
-            
-            cursor.style.left = `${newX}px`;
-            cursor.style.top = `${newY}px`;
-            
-            // Dispatch mouse move event for raycaster
-            const event = new MouseEvent('mousemove', {
-                clientX: newX,
-                clientY: newY,
-                bubbles: true
-            });
-            document.dispatchEvent(event);
-        }
-    }
+function handleAim(gamepad, profile) {
+    const { x, y } = applyDeadzone(readStick(gamepad, profile, 'aim'), profile);
+    if (Math.abs(x) < 0.01 && Math.abs(y) < 0.01) return;
+    
+    dispatch('aim', {
+        dx: x * profile.sensitivity.aim * 2,
+        dy: -y * profile.sensitivity.aim * 2 // Invert Y
+    }, 'gamepad');
 }
 
 /**
- * Handle car rotation speed (Left Stick) - controls rotation speed when auto-rotate is enabled
- * Left stick X axis controls rotation speed and direction
+ * Handle car rotation speed (Left Stick) - steers the turntable while auto-rotate is running
+ * Stick X sets speed and direction; centered hands back to the normal auto-rotate speed
  */
-function handleCarRotation(gamepad) {
-    // Only handle rotation when auto-rotate is enabled
-    if (window.autoRotateEnabled !== true) {
-        // Clear gamepad rotation speed when auto-rotate is disabled
-        window.gamepadRotationSpeed = undefined;
-        window.gamepadControllingRotation = false;
+function handleCarRotation(gamepad, profile) {
+    if (!isTurntableActive()) {
+        steerTurntable(0);
         return;
     }
+    steerTurntable(applyDeadzone(readStick(gamepad, profile, 'aim'), profile).x);
+}
+
+/**
+ * Handle focus navigation while an overlay is open (D-pad / left stick)
+ */
+function handleOverlayNavigation(gamepad, profile) {
+    const directions = {
+        navUp: 'up',
+        navDown: 'down',
+        navLeft: 'left',
+        navRight: 'right'
+    };
+    Object.entries(directions).forEach(([action, direction]) => {
+        if (isActionPressed(gamepad, profile, action)) {
+            dispatch('focusMove', { direction }, 'gamepad');
+        }
+    });
     
-    const lsX = applyDeadzone(gamepad.axes[AXES.LS_X]);
-    
-    // Base rotation speed (same as default auto-rotate speed)
-    const baseSpeed = 0.005;
-    
-    // Only use X axis for rotation (left/right)
-    if (Math.abs(lsX) < 0.01) {
-        // Stick is centered - don't apply gamepad rotation, let main.js handle default rotation
-        window.gamepadControllingRotation = false;
-        window.gamepadRotationSpeed = undefined;
-        return;
+    // Left stick: step once on deflection, then auto-repeat while held
+    const { x, y } = applyDeadzone(readStick(gamepad, profile, 'aim'), profile);
+    let direction = null;
+    if (Math.max(Math.abs(x), Math.abs(y)) > STICK_NAV_THRESHOLD) {
+        if (Math.abs(x) > Math.abs(y)) direction = x > 0 ? 'right' : 'left';
+        else direction = y > 0 ? 'down' : 'up';
     }
     
-    // Map stick input to rotation speed
-    // Stick fully left (lsX = -1) = rotate counter-clockwise (negative direction)
-    // Stick fully right (lsX = 1) = rotate clockwise (positive direction)
-    // Use absolute value for speed magnitude, sign for direction
-    const speedMagnitude = Math.abs(lsX); // 0 to 1
-    const direction = lsX > 0 ? 1 : -1; // 1 for clockwise, -1 for counter-clockwise
-    
-    // Calculate rotation speed: base speed * speed multiplier * direction
-    // Speed multiplier scales from 0.1x to 2x speed for better feel
-    const minMultiplier = 0.1; // Minimum 10% speed
-    const maxMultiplier = 2.0; // Maximum 200% speed
-    const speedRange = maxMultiplier - minMultiplier;
-    const effectiveMultiplier = minMultiplier + (speedMagnitude * speedRange);
-    
-    const rotationSpeed = baseSpeed * effectiveMultiplier * direction;
-    
-    // Store rotation speed for use in animation loop
-    window.gamepadRotationSpeed = rotationSpeed;
-    window.gamepadControllingRotation = true; // Flag that gamepad is controlling rotation
-    
-    // Apply rotation directly to porscheModel if available
-    // Since main.js will also apply default rotation (0.005), we need to compensate
-    // We'll subtract the default rotation and add our custom rotation
-    if (window.porscheModel && window.porscheModel.rotation) {
-        // Subtract default rotation that main.js will add later in the same frame
-        const defaultRotation = 0.005;
-        window.porscheModel.rotation.y -= defaultRotation;
-        
-        // Apply gamepad-controlled rotation
-        window.porscheModel.rotation.y += rotationSpeed;
-        
-        // Now when main.js adds defaultRotation, we'll have: -defaultRotation + gamepadRotation + defaultRotation = gamepadRotation
-        // But we need to ensure main.js doesn't add it, so we'll set a flag to prevent it
-        // Actually, since we can't easily patch main.js, we'll just accept that main.js will add defaultRotation
-        // So we subtract it here, add our rotation, and main.js adds it back = our rotation only
+    const now = performance.now();
+    if (!direction) {
+        stickNavState = { direction: null, nextAt: 0 };
+    } else if (direction !== stickNavState.direction) {
+        dispatch('focusMove', { direction }, 'gamepad');
+        stickNavState = { direction, nextAt: now + STICK_NAV_DELAY };
+    } else if (now >= stickNavState.nextAt) {
+        dispatch('focusMove', { direction }, 'gamepad');
+        stickNavState.nextAt = now + STICK_NAV_REPEAT;
     }
 }
 
 /**
- * Handle button presses
+ * Cycle camera views with D-pad left/right while no overlay is open (X/Y work everywhere)
  */
-function handleButtons(gamepad) {
-    // A button - Select part
-    if (isButtonPressed(gamepad, BUTTONS.A)) {
-        if (window.simulateMouseClick) {
-            window.simulateMouseClick();
-        } else {
-            // Fallback: trigger click on canvas
-            const canvas = document.querySelector('canvas');
-            if (canvas) {
-                const cursor = document.getElementById('cursor-cross');
-                if (cursor) {
-                    const x = parseFloat(cursor.style.left) || window.innerWidth / 2;
-                    const y = parseFloat(cursor.style.top) || window.innerHeight / 2;
-                    
-                    const event = new MouseEvent('click', {
-                        clientX: x,
-                        clientY: y,
-                        bubbles: true
-                    });
-                    canvas.dispatchEvent(event);
-                }
-            }
-        }
+function handleViewNavigation(gamepad, profile) {
+    if (isActionPressed(gamepad, profile, 'navLeft')) dispatch('prevView', {}, 'gamepad');
+    if (isActionPressed(gamepad, profile, 'navRight')) dispatch('nextView', {}, 'gamepad');
+}
+
+/**
+ * Scroll long overlay content with the right stick
+ */
+function handleOverlayScroll(gamepad, profile) {
+    const { y } = applyDeadzone(readStick(gamepad, profile, 'orbit'), profile);
+    if (Math.abs(y) > 0.01) {
+        dispatch('scroll', { deltaY: y * OVERLAY_SCROLL_SPEED }, 'gamepad');
     }
+}
+
+/**
+ * Lightbox video playback: X plays/pauses, Y mutes, right stick X scrubs
+ * Runs before handleButtons and takes the X/Y presses, so they don't also reach the view actions
+ */
+function handleVideoControls(gamepad, profile, cameraPad, cameraProfile) {
+    if (isActionPressed(gamepad, profile, 'prevView')) dispatch('videoTogglePlay', {}, 'gamepad');
+    if (isActionPressed(gamepad, profile, 'nextView')) dispatch('videoToggleMute', {}, 'gamepad');
     
-    // B or BACK button - Close lightbox/wiki
-    if (isButtonPressed(gamepad, BUTTONS.B) || isButtonPressed(gamepad, BUTTONS.BACK)) {
-        // Priority: lightbox > wiki > part menu
-        const lightbox = document.getElementById('wiki-image-lightbox');
-        if (lightbox && lightbox.classList.contains('visible')) {
-            if (window.closeLightbox) {
-                window.closeLightbox();
-            } else {
-                const closeBtn = document.getElementById('wiki-lightbox-close');
-                if (closeBtn) closeBtn.click();
-            }
-        } else {
-            const wikiOverlay = document.getElementById('porsche-history-overlay');
-            if (wikiOverlay && wikiOverlay.classList.contains('visible')) {
-                const closeBtn = document.getElementById('porsche-history-close');
-                if (closeBtn) closeBtn.click();
-            } else {
-                const partMenu = document.getElementById('part-menu-overlay');
-                if (partMenu && partMenu.classList.contains('visible')) {
-                    const closeBtn = document.getElementById('part-menu-close');
-                    if (closeBtn) closeBtn.click();
-                }
-            }
-        }
+    const { x } = applyDeadzone(readStick(cameraPad, cameraProfile, 'orbit'), cameraProfile);
+    if (Math.abs(x) > 0.01) {
+        dispatch('videoSeek', { seconds: x * VIDEO_SCRUB_SPEED }, 'gamepad');
     }
-    
-    // START button - Toggle wiki
-    if (isButtonPressed(gamepad, BUTTONS.START)) {
-        const wikiOverlay = document.getElementById('porsche-history-overlay');
-        if (wikiOverlay && wikiOverlay.classList.contains('visible')) {
-            const closeBtn = document.getElementById('porsche-history-close');
-            if (closeBtn) closeBtn.click();
-        } else {
-            const bookBtn = document.getElementById('book-button');
-            if (bookBtn) bookBtn.click();
-        }
+}
+
+/**
+ * History article search: X/Y step to the previous/next match
+ * Like handleVideoControls, this takes the X/Y presses before handleButtons sees them
+ */
+function handleSearchControls(gamepad, profile) {
+    if (isActionPressed(gamepad, profile, 'prevView')) dispatch('searchPrev', {}, 'gamepad');
+    if (isActionPressed(gamepad, profile, 'nextView')) dispatch('searchNext', {}, 'gamepad');
+}
+
+/**
+ * Lightbox image zoom (triggers) and pan (right stick)
+ * The stick moves the view over the picture, so the picture itself moves the opposite way
+ */
+function handleLightboxZoom(gamepad, profile) {
+    const lt = readAction(gamepad, profile, 'zoomOut');
+    const rt = readAction(gamepad, profile, 'zoomIn');
+    const delta = (rt - lt) * LIGHTBOX_ZOOM_SPEED;
+    if (Math.abs(delta) > 0.001) dispatch('lightboxZoom', { delta }, 'gamepad');
+    
+    const { x, y } = applyDeadzone(readStick(gamepad, profile, 'orbit'), profile);
+    if (Math.abs(x) > 0.01 || Math.abs(y) > 0.01) {
+        dispatch('lightboxPan', { dx: -x * LIGHTBOX_PAN_SPEED, dy: -y * LIGHTBOX_PAN_SPEED }, 'gamepad');
     }
-    
-    // L1 (LB) - Previous part
-    if (isButtonPressed(gamepad, BUTTONS.LB)) {
-        if (window.cyclePartPrevious) {
-            window.cyclePartPrevious();
-        }
+}
+
+// Button actions dispatched on press; what they do depends on app state (see appActions.js)
+const BUTTON_ACTIONS = ['select', 'back', 'toggleWiki', 'prevPart', 'nextPart', 'prevView', 'nextView'];
+
+/**
+ * Handle button presses
+ */
+function handleButtons(gamepad, profile) {
+    // Stick presses together - open remap screen
+    if (isComboPressed(gamepad, REMAP_COMBO)) {
+        openRemapOverlay(gamepad.index);
+        return;
     }
     
-    // R1 (RB) - Next part
-    if (isButtonPressed(gamepad, BUTTONS.RB)) {
-        if (window.cyclePartNext) {
-            window.cyclePartNext();
+    BUTTON_ACTIONS.forEach(action => {
+        if (isActionPressed(gamepad, profile, action)) {
+            dispatch(action, {}, 'gamepad');
         }
-    }
+    });
+}
+
+/**
+ * Record currently held actions without triggering them
+ */
+function syncButtonStates(gamepad, profile) {
+    Object.keys(profile.bindings).forEach(action => {
+        if (!Array.isArray(profile.bindings[action])) return;
+        isActionPressed(gamepad, profile, action);
+    });
+    isComboPressed(gamepad, REMAP_COMBO);
 }
 
 /**
  * Main gamepad update loop
  */
 function updateGamepad() {
-    const gamepad = getGamepad();
+    const gamepads = getConnectedGamepads();
     
-    if (!gamepad) {
-        gamepadConnected = false;
+    if (!gamepads.length) {
         if (animationFrameId) {
             cancelAnimationFrame(animationFrameId);
             animationFrameId = null;
@@ -423,12 +463,65 @@ function updateGamepad() {
         return;
     }
     
+    // Remap screen owns the pads while open; keep edge state in sync so held buttons don't fire on close
+    if (isRemapOpen()) {
+        gamepads.forEach(gp => syncButtonStates(gp, getCachedProfile(gp)));
+        animationFrameId = requestAnimationFrame(updateGamepad);
+        return;
+    }
+    
+    gamepads.forEach(ensureCalibration);
+    
+    // Input a listener consumed only updates the held-button state, so the press doesn't fire an action
+    if (notifyActivity(gamepads)) {
+        gamepads.forEach(gp => syncButtonStates(gp, getCachedProfile(gp)));
+        steerTurntable(0);
+        animationFrameId = requestAnimationFrame(updateGamepad);
+        return;
+    }
+    
+    updateActiveFromInput(gamepads);
+    const { active, camera } = resolveRoles(gamepads);
+    if (active.index !== activeIndex) {
+        setActiveIndex(active.index);
+    }
+    const activeProfile = getCachedProfile(active);
+    const cameraProfile = getCachedProfile(camera);
+    
+    // Overlays take the sticks and D-pad for focus navigation/scrolling instead of the camera
+    syncFocus();
+    const overlay = getActiveOverlay();
+    if (overlay !== lastOverlay) {
+        if (overlay === 'outOfFunds') rumble('outOfFunds');
+        else rumble(overlay ? 'overlayOpen' : 'overlayClose');
+        lastOverlay = overlay;
+    }
+    
     // Update controls
-    handleOrbit(gamepad);
-    handleZoom(gamepad);
-    handleCarRotation(gamepad); // Handle car rotation with left stick
-    handleAim(gamepad); // Handle cursor/aim (only when auto-rotate is off)
-    handleButtons(gamepad);
+    if (overlay) {
+        steerTurntable(0); // Sticks belong to the overlay
+        handleOverlayNavigation(active, activeProfile);
+        handleOverlayScroll(camera, cameraProfile);
+        if (overlay === 'lightbox' && isLightboxVideoActive()) {
+            handleVideoControls(active, activeProfile, camera, cameraProfile);
+        } else if (overlay === 'lightbox' && isLightboxImageActive()) {
+            handleLightboxZoom(camera, cameraProfile);
+        } else if (overlay === 'history' && hasSearchMatches()) {
+            handleSearchControls(active, activeProfile);
+        }
+    } else {
+        handleOrbit(camera, cameraProfile);
+        handleZoom(camera, cameraProfile);
+        handleCarRotation(active, activeProfile); // Handle car rotation with left stick
+        handleAim(active, activeProfile); // Handle cursor/aim (only when auto-rotate is off)
+        handleViewNavigation(active, activeProfile);
+    }
+    handleButtons(active, activeProfile);
+    
+    // Inactive pads: track held buttons so a hand-over doesn't replay old presses
+    gamepads
+        .filter(gp => gp !== active)
+        .forEach(gp => syncButtonStates(gp, getCachedProfile(gp)));
     
     // Continue polling
     animationFrameId = requestAnimationFrame(updateGamepad);
@@ -444,44 +537,32 @@ export function initGamepad() {
         return;
     }
     
-    // Patch main.js rotation logic to respect gamepad input
-    // This prevents double rotation when gamepad is controlling rotation
-    let originalRotationApplied = false;
-    const rotationPatch = () => {
-        // Wait for porscheModel to be available
-        if (!window.porscheModel || originalRotationApplied) return;
-        
-        // Find where main.js applies rotation in the animation loop
-        // We'll intercept by wrapping the rotation logic
-        // Since main.js is minified, we'll use a simpler approach:
-        // We'll apply our rotation in the gamepad handler, and the gamepad
-        // handler runs before the main animation loop, so we can subtract
-        // the default rotation before applying gamepad rotation
-        
-        originalRotationApplied = true;
-    };
+    try {
+        controllerMode = localStorage.getItem(MODE_STORAGE_KEY) === 'split' ? 'split' : 'single';
+    } catch (err) {
+        controllerMode = 'single';
+    }
     
-    // Try to patch rotation immediately, or wait for model to load
-    if (window.porscheModel) {
-        rotationPatch();
-    } else {
-        // Wait for model to load
-        const checkInterval = setInterval(() => {
-            if (window.porscheModel) {
-                rotationPatch();
-                clearInterval(checkInterval);
+    // Clicking the indicator toggles single/split mode; its rumble chip toggles rumble
+    const indicator = document.getElementById('gamepad-indicator');
+    if (indicator) {
+        indicator.addEventListener('click', (e) => {
+            if (e.target.closest('.gamepad-indicator-rumble')) {
+                toggleRumble();
+                renderIndicator();
+                return;
             }
-        }, 100);
-        
-        // Timeout after 10 seconds
-        setTimeout(() => clearInterval(checkInterval), 10000);
+            setControllerMode(controllerMode === 'split' ? 'single' : 'split');
+        });
     }
     
     // Listen for gamepad connection
     window.addEventListener('gamepadconnected', (e) => {
         console.log('[Gamepad] Connected:', e.gamepad.id, 'Index:', e.gamepad.index);
-        gamepadIndex = e.gamepad.index;
-        gamepadConnected = true;
+        if (activeIndex < 0) {
+            setActiveIndex(e.gamepad.index);
+        }
+        renderIndicator();
         
         if (!animationFrameId) {
             animationFrameId = requestAnimationFrame(updateGamepad);
@@ -491,31 +572,36 @@ export function initGamepad() {
     // Listen for gamepad disconnection
     window.addEventListener('gamepaddisconnected', (e) => {
         console.log('[Gamepad] Disconnected:', e.gamepad.id);
-        if (e.gamepad.index === gamepadIndex) {
-            gamepadIndex = -1;
-            gamepadConnected = false;
-            lastButtonStates.clear();
-            window.gamepadControllingRotation = false;
-            window.gamepadRotationSpeed = undefined;
-            
-            if (animationFrameId) {
-                cancelAnimationFrame(animationFrameId);
-                animationFrameId = null;
-            }
+        const prefix = `${e.gamepad.index}-`;
+        lastButtonStates.forEach(key => {
+            if (key.startsWith(prefix)) lastButtonStates.delete(key);
+        });
+        anyButtonStates.delete(e.gamepad.index);
+        
+        if (e.gamepad.index === activeIndex) {
+            // Hand over to the next connected pad, if any
+            const next = getConnectedGamepads().find(gp => gp.index !== e.gamepad.index);
+            setActiveIndex(next ? next.index : -1);
+            steerTurntable(0);
+        }
+        renderIndicator();
+        
+        if (activeIndex < 0 && animationFrameId) {
+            cancelAnimationFrame(animationFrameId);
+            animationFrameId = null;
         }
     });
     
     // Check for already connected gamepads
-    const gamepads = navigator.getGamepads();
-    for (let i = 0; i < gamepads.length; i++) {
-        if (gamepads[i]) {
-            console.log('[Gamepad] Already connected:', gamepads[i].id, 'Index:', i);
-            gamepadIndex = i;
-            gamepadConnected = true;
-            animationFrameId = requestAnimationFrame(updateGamepad);
-            break;
-        }
+    const gamepads = getConnectedGamepads();
+    gamepads.forEach(gp => {
+        console.log('[Gamepad] Already connected:', gp.id, 'Index:', gp.index);
+    });
+    if (gamepads.length) {
+        setActiveIndex(gamepads[0].index);
+        animationFrameId = requestAnimationFrame(updateGamepad);
     }
+    renderIndicator();
     
     // Start polling loop even if no gamepad is connected yet
     // This ensures we detect gamepads that connect later
@@ -526,5 +612,6 @@ export function initGamepad() {
     console.log('[Gamepad] Support initialized. Waiting for gamepad...');
     console.log('[Gamepad] Press any button to connect (if supported by browser)');
     console.log('[Gamepad] Left stick controls rotation speed when auto-rotate is enabled');
+    console.log('[Gamepad] Press both sticks to remap buttons');
 }
 
@@ -0,0 +1,231 @@
+// Keyboard shortcuts
+// Keys dispatch the same named actions as the gamepad (see actions.js)
+
+import { dispatch } from './actions.js';
+import { getActiveOverlay } from './focusNav.js';
+import { isLightboxVideoActive } from '../ui/lightboxVideo.js';
+
+// Held keys steer the camera every frame, like the sticks and triggers (KeyboardEvent.code, layout independent)
+const ORBIT_KEYS = {
+    ArrowLeft: { x: -1, y: 0 },
+    KeyA: { x: -1, y: 0 },
+    ArrowRight: { x: 1, y: 0 },
+    KeyD: { x: 1, y: 0 },
+    ArrowUp: { x: 0, y: -1 },
+    KeyW: { x: 0, y: -1 },
+    ArrowDown: { x: 0, y: 1 },
+    KeyS: { x: 0, y: 1 }
+};
+
+const ZOOM_KEYS = {
+    Equal: 1,
+    NumpadAdd: 1,
+    Minus: -1,
+    NumpadSubtract: -1
+};
+
+// Per-frame amounts at full hold (comparable to a fully deflected stick)
+const ORBIT_SPEED = 1.5;
+const ZOOM_SPEED = 0.4;
+
+// Single-press shortcuts: KeyboardEvent.code (+ shift), or a printed key where layouts differ -> action
+const KEY_ACTIONS = [
+    { code: 'Escape', action: 'back' },
+    { code: 'Tab', action: 'nextPart' },
+    { code: 'Tab', shift: true, action: 'prevPart' },
+    { code: 'Enter', action: 'select' },
+    { code: 'NumpadEnter', action: 'select' },
+    { code: 'KeyV', action: 'nextView' },
+    { code: 'KeyV', shift: true, action: 'prevView' },
+    { code: 'KeyH', action: 'toggleWiki' },
+    { key: ']', action: 'nextSection' },
+    { key: '[', action: 'prevSection' },
+    { key: '/', action: 'focusSearch' },
+    { code: 'KeyR', action: 'toggleAutoRotate' },
+    { code: 'KeyF', action: 'toggleFullscreen' },
+    { code: 'KeyM', action: 'toggleMusic' },
+    { code: 'KeyM', shift: true, action: 'toggleMute' },
+    { code: 'KeyZ', action: 'undoChoice' },
+    { code: 'KeyZ', shift: true, action: 'redoChoice' },
+    { key: '?', action: 'toggleHelp' }
+];
+
+// Playback keys while the lightbox shows a video (M mutes the video instead of the music there)
+const VIDEO_KEY_ACTIONS = {
+    Space: { action: 'videoTogglePlay' },
+    KeyK: { action: 'videoTogglePlay' },
+    KeyJ: { action: 'videoSeek', payload: { seconds: -5 } },
+    KeyL: { action: 'videoSeek', payload: { seconds: 5 } },
+    KeyM: { action: 'videoToggleMute' },
+    KeyO: { action: 'videoToggleLoop' }
+};
+
+// Rows shown in the keyboard help overlay
+export const KEYBOARD_HELP = [
+    { keys: 'Arrows / W A S D', label: 'Orbit camera (move focus in menus)' },
+    { keys: '+ / −', label: 'Zoom in / out (camera or lightbox image)' },
+    { keys: 'Tab / Shift+Tab', label: 'Next / previous part (section in history)' },
+    { keys: 'V / Shift+V', label: 'Next / previous camera view' },
+    { keys: 'Enter', label: 'Select' },
+    { keys: 'Esc', label: 'Close / Back' },
+    { keys: 'H', label: 'Toggle history' },
+    { keys: '] / [', label: 'Next / previous history section' },
+    { keys: '/', label: 'Search the history article (Enter / Shift+Enter: next / previous match)' },
+    { keys: 'R', label: 'Toggle auto-rotate' },
+    { keys: 'F', label: 'Toggle fullscreen' },
+    { keys: 'M', label: 'Play / pause music' },
+    { keys: 'Shift+M', label: 'Mute / unmute all sound' },
+    { keys: 'Z / Shift+Z', label: 'Undo / redo configurator choice' },
+    { keys: 'Space / K', label: 'Play / pause video (lightbox)' },
+    { keys: 'J / L', label: 'Rewind / forward 5 s (lightbox video)' },
+    { keys: 'M / O', label: 'Mute / loop video (lightbox)' },
+    { keys: '?', label: 'Show / hide this help' }
+];
+
+// Arrow/WASD direction names used for overlay focus navigation
+const FOCUS_DIRECTIONS = {
+    ArrowUp: 'up',
+    KeyW: 'up',
+    ArrowDown: 'down',
+    KeyS: 'down',
+    ArrowLeft: 'left',
+    KeyA: 'left',
+    ArrowRight: 'right',
+    KeyD: 'right'
+};
+
+let heldKeys = new Set();
+let animationFrameId = null;
+
+/**
+ * Whether the key event comes from a text field (shortcuts stay out of the way while typing)
+ */
+function isTyping(e) {
+    const target = e.target;
+    if (!target || !target.tagName) return false;
+    return target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName);
+}
+
+/**
+ * Whether Enter should be left to the browser (a focused button/link activates itself)
+ */
+function isNativeActivation(e) {
+    const active = document.activeElement;
+    return e.code.endsWith('Enter') && !!active && active !== document.body && active.matches('button, a[href]');
+}
+
+/**
+ * Swallow an event so the legacy keydown listeners don't act on it a second time
+ */
+function consume(e) {
+    e.preventDefault();
+    e.stopImmediatePropagation();
+}
+
+/**
+ * Per-frame camera update while orbit/zoom keys are held
+ */
+function updateHeldKeys() {
+    animationFrameId = null;
+    if (!heldKeys.size) return;
+
+    // Overlays use the arrows for focus navigation instead
+    if (!getActiveOverlay()) {
+        let x = 0;
+        let y = 0;
+        let zoom = 0;
+        heldKeys.forEach(code => {
+            if (ORBIT_KEYS[code]) {
+                x += ORBIT_KEYS[code].x;
+                y += ORBIT_KEYS[code].y;
+            }
+            if (ZOOM_KEYS[code]) zoom += ZOOM_KEYS[code];
+        });
+
+        if (x || y) {
+            dispatch('orbit', {
+                x: Math.sign(x) * ORBIT_SPEED,
+                y: Math.sign(y) * ORBIT_SPEED
+            }, 'keyboard');
+        }
+        if (zoom) {
+            dispatch('zoom', { delta: Math.sign(zoom) * ZOOM_SPEED }, 'keyboard');
+        }
+    }
+
+    animationFrameId = requestAnimationFrame(updateHeldKeys);
+}
+
+/**
+ * Handle arrows/WASD while an overlay is open
+ * The lightbox pages with left/right, zooms images with +/− and takes the playback keys for videos;
+ * other overlays move the focus ring
+ */
+function handleOverlayKey(e, overlay) {
+    if (overlay === 'lightbox' && ZOOM_KEYS[e.code]) {
+        return dispatch('lightboxZoom', { delta: ZOOM_KEYS[e.code], animate: true }, 'keyboard');
+    }
+    if (overlay === 'lightbox' && isLightboxVideoActive() && VIDEO_KEY_ACTIONS[e.code] && !e.shiftKey) {
+        const { action, payload } = VIDEO_KEY_ACTIONS[e.code];
+        // Holding J/L keeps seeking; toggles fire once per press
+        if (e.repeat && action !== 'videoSeek') return true;
+        return dispatch(action, payload, 'keyboard');
+    }
+
+    const direction = FOCUS_DIRECTIONS[e.code];
+    if (!direction) return false;
+
+    if (overlay === 'lightbox') {
+        if (direction !== 'left' && direction !== 'right') return false;
+        return dispatch(direction === 'left' ? 'prevPart' : 'nextPart', {}, 'keyboard');
+    }
+    return dispatch('focusMove', { direction }, 'keyboard');
+}
+
+/**
+ * Dispatch the action bound to a key
+ */
+function handleKeydown(e) {
+    if (e.ctrlKey || e.metaKey || e.altKey || isTyping(e)) return;
+
+    const overlay = getActiveOverlay();
+    if (overlay && handleOverlayKey(e, overlay)) {
+        consume(e);
+        return;
+    }
+
+    if (!overlay && (ORBIT_KEYS[e.code] || ZOOM_KEYS[e.code])) {
+        consume(e);
+        heldKeys.add(e.code);
+        if (!animationFrameId) animationFrameId = requestAnimationFrame(updateHeldKeys);
+        return;
+    }
+
+    const binding = KEY_ACTIONS.find(entry => entry.key
+        ? entry.key === e.key
+        : entry.code === e.code && !!entry.shift === e.shiftKey);
+    if (!binding || e.repeat || isNativeActivation(e)) return;
+
+    if (dispatch(binding.action, {}, 'keyboard')) {
+        consume(e);
+    }
+}
+
+/**
+ * Release held keys
+ */
+function handleKeyup(e) {
+    heldKeys.delete(e.code);
+}
+
+/**
+ * Initialize keyboard shortcuts
+ */
+export function initKeyboard() {
+    // Capture phase on window runs before the legacy bubble-phase listeners
+    window.addEventListener('keydown', handleKeydown, true);
+    window.addEventListener('keyup', handleKeyup, true);
+    // Keys released while the window is unfocused never send keyup
+    window.addEventListener('blur', () => heldKeys.clear());
+    console.log('[Keyboard] Shortcuts initialized (press ? for help)');
+}
@@ -0,0 +1,200 @@
+// Gamepad rumble feedback
+// Plays named 'dual-rumble' effects on the active pad; intensities and the on/off switch persist to
+// localStorage. Pads or browsers without a vibration actuator are skipped silently
+
+import { onSceneEvent } from '../scene/bridge.js';
+
+const STORAGE_KEY = 'carholo.rumble';
+
+// Named effects: duration in ms, weak (high-frequency) and strong (low-frequency) motor magnitudes 0..1
+const DEFAULT_EFFECTS = {
+    hover: { duration: 30, weak: 0.25, strong: 0 },
+    select: { duration: 60, weak: 0.35, strong: 0.15 },
+    selectWarning: { duration: 220, weak: 0.5, strong: 0.9 },
+    overlayOpen: { duration: 70, weak: 0.3, strong: 0.25 },
+    overlayClose: { duration: 50, weak: 0.2, strong: 0.1 },
+    outOfFunds: { duration: 350, weak: 0.7, strong: 1.0 }
+};
+
+let settings = null;
+let targetIndex = -1;
+
+/**
+ * Load the stored settings merged over the defaults
+ */
+function loadSettings() {
+    if (settings) return settings;
+    let stored = {};
+    try {
+        const raw = localStorage.getItem(STORAGE_KEY);
+        stored = raw ? JSON.parse(raw) : {};
+    } catch (err) {
+        console.warn('[Rumble] Could not read stored settings:', err);
+    }
+
+    const effects = {};
+    Object.entries(DEFAULT_EFFECTS).forEach(([name, effect]) => {
+        effects[name] = { ...effect, ...stored.effects?.[name] };
+    });
+    settings = {
+        enabled: stored.enabled !== false,
+        intensity: typeof stored.intensity === 'number' ? stored.intensity : 1,
+        effects
+    };
+    return settings;
+}
+
+/**
+ * Write the settings back to localStorage
+ */
+function persistSettings() {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+    } catch (err) {
+        console.warn('[Rumble] Could not save settings:', err);
+    }
+}
+
+/**
+ * Clamp a magnitude to 0..1
+ */
+function clamp01(value) {
+    return Math.max(0, Math.min(1, Number(value) || 0));
+}
+
+/**
+ * Current settings: { enabled, intensity, effects }
+ */
+export function getRumbleSettings() {
+    const { enabled, intensity, effects } = loadSettings();
+    return { enabled, intensity, effects: JSON.parse(JSON.stringify(effects)) };
+}
+
+/**
+ * Whether rumble is switched on
+ */
+export function isRumbleEnabled() {
+    return loadSettings().enabled;
+}
+
+/**
+ * Global rumble on/off switch
+ */
+export function setRumbleEnabled(value) {
+    loadSettings().enabled = !!value;
+    persistSettings();
+    if (!value) stopRumble();
+}
+
+/**
+ * Toggle rumble on/off
+ */
+export function toggleRumble() {
+    setRumbleEnabled(!isRumbleEnabled());
+}
+
+/**
+ * Scale every effect (0 = silent, 1 = as configured)
+ */
+export function setRumbleIntensity(value) {
+    loadSettings().intensity = clamp01(value);
+    persistSettings();
+}
+
+/**
+ * Override one effect's duration/magnitudes, e.g. setRumbleEffect('hover', { weak: 0.1 })
+ */
+export function setRumbleEffect(name, effect) {
+    const effects = loadSettings().effects;
+    if (!effects[name]) return;
+    effects[name] = {
+        duration: Math.max(0, Number(effect.duration ?? effects[name].duration) || 0),
+        weak: clamp01(effect.weak ?? effects[name].weak),
+        strong: clamp01(effect.strong ?? effects[name].strong)
+    };
+    persistSettings();
+}
+
+/**
+ * Restore the default intensities (keeps the on/off switch)
+ */
+export function resetRumbleSettings() {
+    const { enabled } = loadSettings();
+    settings = null;
+    try {
+        localStorage.removeItem(STORAGE_KEY);
+    } catch (err) {
+        // Storage unavailable - defaults apply for this session anyway
+    }
+    setRumbleEnabled(enabled);
+}
+
+/**
+ * Set the pad effects play on (the gamepad module keeps this on the active pad)
+ */
+export function setRumbleTarget(index) {
+    targetIndex = index;
+}
+
+/**
+ * The target pad's vibration actuator, if it has one that supports dual-rumble
+ */
+function getActuator() {
+    if (targetIndex < 0 || !navigator.getGamepads) return null;
+    const gamepad = navigator.getGamepads()[targetIndex];
+    const actuator = gamepad?.vibrationActuator;
+    if (!actuator || typeof actuator.playEffect !== 'function') return null;
+    // Older implementations list supported effects; newer ones reject unsupported ones instead
+    if (Array.isArray(actuator.effects) && !actuator.effects.includes('dual-rumble')) return null;
+    return actuator;
+}
+
+/**
+ * Play a named effect on the active pad
+ */
+export function rumble(name) {
+    const { enabled, intensity, effects } = loadSettings();
+    const effect = effects[name];
+    if (!enabled || !effect || intensity <= 0) return;
+
+    const actuator = getActuator();
+    if (!actuator) return;
+
+    const weak = clamp01(effect.weak * intensity);
+    const strong = clamp01(effect.strong * intensity);
+    if (!effect.duration || (!weak && !strong)) return;
+
+    actuator.playEffect('dual-rumble', {
+        startDelay: 0,
+        duration: effect.duration,
+        weakMagnitude: weak,
+        strongMagnitude: strong
+    }).catch(() => {
+        // Effect rejected or preempted by the next one - feedback is best-effort
+    });
+}
+
+/**
+ * Stop any running effect on the active pad
+ */
+export function stopRumble() {
+    const actuator = getActuator();
+    if (actuator && typeof actuator.reset === 'function') {
+        actuator.reset().catch(() => {});
+    }
+}
+
+/**
+ * Initialize rumble: feedback for part hover/selection reported by the scene
+ * Overlay transitions are reported by the gamepad loop, which already tracks the active overlay
+ */
+export function initRumble() {
+    loadSettings();
+    onSceneEvent('partHover', () => rumble('hover'));
+    onSceneEvent('partSelect', ({ status, catalogStatus }) => {
+        // Catalog parts report their own status; without the catalog, the 3D code's 'warning' is the urgent one
+        const urgent = catalogStatus ? catalogStatus !== 'good' : status === 'warning';
+        rumble(urgent ? 'selectWarning' : 'select');
+    });
+    console.log('[Rumble] Initialized', settings.enabled ? '(on)' : '(off)');
+}
@@ -0,0 +1,157 @@
+// Asset preloading with real progress
+// Tracks the model (loaded by the 3D code, which reports progress through the bridge) and fetches the
+// HDRI sky, textures and audio so they are cached before the experience opens. Exposes overall
+// progress, per-asset state and errors, whether the critical assets are ready, and a retry for
+// whatever failed
+
+import { getSceneObject, getSceneUI, onSceneEvent, whenSceneObject } from './bridge.js';
+
+/**
+ * @typedef {Object} AssetEntry
+ * @property {string} id
+ * @property {string} label - Shown in the loading screen's error list
+ * @property {'model'|'hdri'|'texture'|'audio'} kind
+ * @property {string} [url] - Fetched here; the model has none (the 3D code loads it)
+ * @property {boolean} [critical] - Enter stays disabled until every critical asset has loaded
+ * @property {number} [weight] - Share of the overall progress (default 1)
+ */
+
+/** @type {AssetEntry[]} */
+export const ASSETS = [
+    { id: 'model', label: '3D model', kind: 'model', critical: true, weight: 8 },
+    { id: 'hdri', label: 'HDRI sky', kind: 'hdri', url: 'Media/782-hdri-skies-com/hdri_sky_782.jpg' },
+    { id: 'logo', label: 'Logo texture', kind: 'texture', url: 'Media/porsche-3-logo-svg-vector.svg' },
+    { id: 'music', label: 'Ambient music', kind: 'audio', url: 'Media/674414__gregorquendel__sci-fi-soundscape-drone-pad-harmonic-008-iv-designed-atmospheres.mp3', weight: 2 },
+    { id: 'hover-sound', label: 'Hover sound', kind: 'audio', url: 'Media/261590__kwahmah_02__little-glitch.flac' },
+    { id: 'select-sound', label: 'Part select sound', kind: 'audio', url: 'Media/419823__glaneur-de-sons__bbb-soft-05.wav' },
+    { id: 'open-sound', label: 'Overlay open sound', kind: 'audio', url: 'Media/497711__miksmusic__hi-tech-click-1.wav' },
+    { id: 'close-sound', label: 'Overlay close sound', kind: 'audio', url: 'Media/370962__cabled_mess__click-01_minimal-ui-sounds.wav' },
+    { id: 'error-sound', label: 'Error sound', kind: 'audio', url: 'Media/63138__uzerx__sub-a-2-secs.wav' }
+];
+
+// id -> { state: 'pending'|'loading'|'loaded'|'error', loaded, total, error }
+const states = new Map();
+const listeners = new Set();
+let notifyFrame = null;
+
+/**
+ * Snapshot of every asset and the overall progress
+ * @returns {{ progress: number, ready: boolean, failed: boolean,
+ *   assets: Array<AssetEntry & { state: string, progress: number, error: (string|null) }> }}
+ */
+export function getAssetStatus() {
+    let weighted = 0;
+    let totalWeight = 0;
+    const assets = ASSETS.map(asset => {
+        const { state, loaded, total, error } = states.get(asset.id);
+        const progress = state === 'loaded' ? 1 : total > 0 ? Math.min(1, loaded / total) : 0;
+        const weight = asset.weight ?? 1;
+        weighted += progress * weight;
+        totalWeight += weight;
+        return { ...asset, state, progress, error: error ? String(error.message || error) : null };
+    });
+    const critical = assets.filter(asset => asset.critical);
+    return {
+        progress: totalWeight ? weighted / totalWeight : 1,
+        ready: critical.every(asset => asset.state === 'loaded'),
+        failed: critical.some(asset => asset.state === 'error'),
+        assets
+    };
+}
+
+/**
+ * Listen for progress and state changes; returns an unsubscribe function
+ */
+export function subscribeAssets(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+}
+
+/**
+ * Notify listeners, at most once per frame (progress events arrive in bursts)
+ */
+function scheduleNotify() {
+    if (notifyFrame) return;
+    notifyFrame = requestAnimationFrame(() => {
+        notifyFrame = null;
+        const status = getAssetStatus();
+        listeners.forEach(listener => listener(status));
+    });
+}
+
+function update(id, changes) {
+    const state = states.get(id);
+    if (!state || state.state === 'loaded') return;
+    Object.assign(state, changes);
+    if (changes.state === 'error') console.warn('[Assets] Failed to load', id, changes.error);
+    scheduleNotify();
+}
+
+/**
+ * Fetch an asset into the HTTP cache, counting bytes as they arrive
+ */
+async function fetchAsset(asset) {
+    update(asset.id, { state: 'loading', loaded: 0, total: 0, error: null });
+    try {
+        const response = await fetch(asset.url);
+        if (!response.ok) throw new Error(`HTTP ${response.status} for ${asset.url}`);
+        const total = Number(response.headers.get('Content-Length')) || 0;
+        if (response.body && total) {
+            const reader = response.body.getReader();
+            let loaded = 0;
+            for (;;) {
+                const { done, value } = await reader.read();
+                if (done) break;
+                loaded += value.length;
+                update(asset.id, { loaded, total });
+            }
+        } else {
+            await response.arrayBuffer();
+        }
+        update(asset.id, { state: 'loaded', error: null });
+    } catch (err) {
+        update(asset.id, { state: 'error', error: err });
+    }
+}
+
+/**
+ * Load the model again through the 3D code
+ */
+function reloadModel() {
+    const loadModel = getSceneUI('loadModel');
+    if (!loadModel) return false;
+    update('model', { state: 'loading', loaded: 0, total: 0, error: null });
+    loadModel();
+    return true;
+}
+
+/**
+ * Load every asset that failed again; false when nothing had failed
+ */
+export function retryFailedAssets() {
+    const failed = ASSETS.filter(asset => states.get(asset.id).state === 'error');
+    failed.forEach(asset => {
+        if (asset.kind === 'model') reloadModel();
+        else fetchAsset(asset);
+    });
+    return failed.length > 0;
+}
+
+/**
+ * Start tracking and preloading
+ */
+export function initAssets() {
+    ASSETS.forEach(asset => states.set(asset.id, { state: 'pending', loaded: 0, total: 0, error: null }));
+
+    // The 3D code started loading the model before this module ran; it may have failed already
+    update('model', { state: 'loading' });
+    const earlyError = getSceneObject('modelError');
+    if (earlyError && !getSceneObject('model')) update('model', { state: 'error', error: earlyError });
+    onSceneEvent('modelProgress', ({ loaded, total }) => update('model', { state: 'loading', loaded, total }));
+    onSceneEvent('modelError', ({ error }) => update('model', { state: 'error', error }));
+    whenSceneObject('model').then(() => update('model', { state: 'loaded', error: null }));
+
+    ASSETS.filter(asset => asset.url).forEach(fetchAsset);
+    scheduleNotify();
+    console.log('[Assets] Preloading', ASSETS.length, 'assets');
+}
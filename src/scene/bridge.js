@@ -0,0 +1,166 @@
+// Scene bridge between the 3D code (main.min.js) and the modules under src/
+// The 3D code registers its camera, controls, model and UI functions here; modules await
+// whenSceneReady()/whenSceneObject() instead of probing globals, polling or faking DOM events.
+// Modules can hand hooks back the other way (e.g. the turntable the render loop steps)
+
+/**
+ * UI functions owned by the 3D code
+ * @typedef {Object} SceneUI
+ * @property {(media?: Element, index?: number) => void} showImageLightbox
+ * @property {() => void} closeLightbox
+ * @property {() => void} showPorscheHistory
+ * @property {() => void} hidePorscheHistory
+ * @property {() => void} hidePartMenu
+ * @property {() => void} showOutOfFundsPopup
+ * @property {() => void} hideOutOfFundsPopup
+ * @property {() => void} loadModel - Load the FBX model again (after a failed load)
+ * @property {(mesh: import('three').Mesh) => void} selectPart - Open a part's menu (switches parts if one is open)
+ * @property {() => (import('three').Mesh|null)} getSelectedPart - Part whose menu is open, if any
+ * @property {(x: number, y: number) => void} hoverAt - Run part hover/picking at a screen point
+ * @property {(x: number, y: number) => void} clickAt - Click (select) whatever is at a screen point
+ */
+
+/**
+ * Core scene objects, registered together once the scene is set up
+ * @typedef {Object} SceneCore
+ * @property {import('three').Scene} scene
+ * @property {import('three').PerspectiveCamera} camera
+ * @property {import('three/addons/controls/OrbitControls.js').OrbitControls} controls
+ * @property {import('three').WebGLRenderer} renderer
+ * @property {SceneUI} ui
+ */
+
+/**
+ * Events the 3D code reports
+ * @typedef {Object} SceneEvents
+ * @property {{mesh: import('three').Mesh, status: 'good'|'warning'|'neutral'}} partHover - Pointer/cursor moved onto a new part
+ * @property {{mesh: import('three').Mesh, status: 'good'|'warning'|'neutral', catalogStatus?: 'good'|'warning'|'damaged'}} partSelect - A part's menu opened
+ *   (catalogStatus: the part catalog's status, when it has loaded)
+ * @property {{index: number, items: import('../ui/gallery.js').GalleryItem[], item: import('../ui/gallery.js').GalleryItem}} lightboxShow - The lightbox opened or moved to an item
+ * @property {{content: HTMLElement}} historyShow - The history article was rendered and is opening (scrolled to the top)
+ * @property {{scrollTop: number}} historyHide - The history article is closing; its scroll position before resetting
+ * @property {{loaded: number, total: number}} modelProgress - Bytes of the FBX model loaded so far
+ * @property {{error: *}} modelError - The FBX model failed to load
+ */
+
+/**
+ * Objects registered later, as they load
+ * @typedef {Object} SceneLate
+ * @property {import('three').Object3D} model - The car, once the FBX has loaded
+ * @property {*} modelError - Why the last model load failed (kept for modules that start listening late)
+ * @property {import('three').Mesh} uiCog - The logo on the camera, once its texture has loaded
+ */
+
+const READY_EVENT = 'carholo:sceneready';
+
+const objects = {};
+const waiters = new Map();  // key -> resolve callbacks waiting for that object
+const hooks = {};
+const eventListeners = new Map();  // event name -> listeners
+let ready = false;
+let resolveReady;
+const readyPromise = new Promise(resolve => { resolveReady = resolve; });
+
+/**
+ * Register (or replace) one scene object and wake anything waiting for it
+ */
+export function registerSceneObject(key, value) {
+    objects[key] = value;
+    const pending = waiters.get(key);
+    if (pending) {
+        waiters.delete(key);
+        pending.forEach(resolve => resolve(value));
+    }
+}
+
+/**
+ * Register the core scene objects and mark the scene ready
+ * @param {SceneCore} core
+ */
+export function registerScene(core) {
+    Object.entries(core).forEach(([key, value]) => registerSceneObject(key, value));
+    if (ready) return;
+
+    ready = true;
+    resolveReady(objects);
+    window.dispatchEvent(new CustomEvent(READY_EVENT, { detail: objects }));
+    console.log('[Bridge] Scene ready');
+}
+
+/**
+ * Whether the core scene objects are registered
+ */
+export function isSceneReady() {
+    return ready;
+}
+
+/**
+ * Resolves with all registered objects once the core scene is registered
+ * @returns {Promise<SceneCore>}
+ */
+export function whenSceneReady() {
+    return readyPromise;
+}
+
+/**
+ * A registered object, or null if it isn't registered (yet)
+ */
+export function getSceneObject(key) {
+    return objects[key] ?? null;
+}
+
+/**
+ * Resolves with an object as soon as it is registered (immediately if it already is)
+ */
+export function whenSceneObject(key) {
+    if (key in objects) return Promise.resolve(objects[key]);
+    return new Promise(resolve => {
+        if (!waiters.has(key)) waiters.set(key, []);
+        waiters.get(key).push(resolve);
+    });
+}
+
+/**
+ * Shortcut for a UI function registered by the 3D code, or null
+ */
+export function getSceneUI(name) {
+    return objects.ui?.[name] ?? null;
+}
+
+/**
+ * Hand a hook to the 3D code (e.g. 'turntable' with a step function for the render loop)
+ */
+export function registerSceneHook(name, hook) {
+    hooks[name] = hook;
+}
+
+/**
+ * A hook registered by a module, or null (the 3D code falls back to its own behaviour)
+ */
+export function getSceneHook(name) {
+    return hooks[name] ?? null;
+}
+
+/**
+ * Report a scene event (see SceneEvents) to module listeners
+ */
+export function emitSceneEvent(name, detail = {}) {
+    const listeners = eventListeners.get(name);
+    if (!listeners) return;
+    listeners.forEach(listener => {
+        try {
+            listener(detail);
+        } catch (err) {
+            console.error(`[Bridge] ${name} listener failed:`, err);
+        }
+    });
+}
+
+/**
+ * Listen for a scene event; returns an unsubscribe function
+ */
+export function onSceneEvent(name, listener) {
+    if (!eventListeners.has(name)) eventListeners.set(name, new Set());
+    eventListeners.get(name).add(listener);
+    return () => eventListeners.get(name).delete(listener);
+}
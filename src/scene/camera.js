@@ -0,0 +1,82 @@
+// Camera moves driven by input actions
+// Works on the registered camera/controls directly (spherical coordinates around the orbit target),
+// honouring the OrbitControls limits the 3D code configured
+
+import { getSceneObject } from './bridge.js';
+
+// Keeps the camera off the poles, where the azimuth becomes undefined
+const POLE_EPSILON = 0.0001;
+
+// Zoom limits used when the controls don't define their own
+const MIN_DISTANCE = 1.0;
+const MAX_DISTANCE = 15.0;
+
+/**
+ * Camera offset from the orbit target as spherical coordinates
+ */
+function getSpherical(camera, target) {
+    const x = camera.position.x - target.x;
+    const y = camera.position.y - target.y;
+    const z = camera.position.z - target.z;
+    const radius = Math.hypot(x, y, z);
+    return {
+        radius,
+        theta: Math.atan2(x, z),
+        phi: radius > 0 ? Math.acos(Math.max(-1, Math.min(1, y / radius))) : 0
+    };
+}
+
+/**
+ * Place the camera at spherical coordinates around the orbit target
+ */
+function setSpherical(camera, target, { radius, theta, phi }) {
+    const sinPhi = Math.sin(phi);
+    camera.position.set(
+        target.x + radius * sinPhi * Math.sin(theta),
+        target.y + radius * Math.cos(phi),
+        target.z + radius * sinPhi * Math.cos(theta)
+    );
+    camera.lookAt(target.x, target.y, target.z);
+}
+
+/**
+ * Orbit the camera around its target by angles in radians
+ * Returns false when the scene isn't registered yet or interaction is disabled (e.g. during the intro)
+ */
+export function orbitCamera(azimuth, polar) {
+    const camera = getSceneObject('camera');
+    const controls = getSceneObject('controls');
+    if (!camera || !controls || !controls.enabled) return false;
+
+    const spherical = getSpherical(camera, controls.target);
+    spherical.theta -= azimuth;
+    const minPolar = Math.max(POLE_EPSILON, controls.minPolarAngle ?? 0);
+    const maxPolar = Math.min(Math.PI - POLE_EPSILON, controls.maxPolarAngle ?? Math.PI);
+    spherical.phi = Math.max(minPolar, Math.min(maxPolar, spherical.phi - polar));
+
+    setSpherical(camera, controls.target, spherical);
+    controls.update();
+    return true;
+}
+
+/**
+ * Move the camera towards (positive) or away from (negative) its target by a distance
+ * Returns false when the scene isn't registered yet or interaction is disabled (e.g. during the intro)
+ */
+export function zoomCamera(amount) {
+    const camera = getSceneObject('camera');
+    const controls = getSceneObject('controls');
+    if (!camera || !controls || !controls.enabled) return false;
+
+    const minDistance = Number.isFinite(controls.minDistance) && controls.minDistance > 0
+        ? controls.minDistance
+        : MIN_DISTANCE;
+    const maxDistance = Number.isFinite(controls.maxDistance) ? controls.maxDistance : MAX_DISTANCE;
+
+    const spherical = getSpherical(camera, controls.target);
+    spherical.radius = Math.max(minDistance, Math.min(maxDistance, spherical.radius - amount));
+
+    setSpherical(camera, controls.target, spherical);
+    controls.update();
+    return true;
+}
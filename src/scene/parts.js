@@ -0,0 +1,125 @@
+// Part cycling for keyboard and gamepad users
+// Steps through the car's selectable meshes in order around the car and opens each one's part menu
+
+import { getSceneObject, getSceneUI } from './bridge.js';
+
+// Same exclusions the legacy click handler applies (helpers, reference geometry, podium)
+const EXCLUDED_NAMES = ['reference', 'ghostpointcloud', 'bounding', 'hoverlight', 'podium'];
+
+// Meshes with fewer vertices than this are markers/helpers rather than parts
+const MIN_VERTICES = 30;
+
+let cachedModel = null;
+let cachedParts = [];
+let currentIndex = -1;
+
+/**
+ * Whether a mesh can be selected like a clicked part
+ */
+function isSelectable(mesh) {
+    if (!mesh || !mesh.isMesh || !mesh.visible) return false;
+
+    let node = mesh;
+    while (node) {
+        if (node.userData?.isHelper) return false;
+        const name = (node.name || '').toLowerCase();
+        if (EXCLUDED_NAMES.some(excluded => name.includes(excluded))) return false;
+        node = node.parent;
+    }
+
+    const vertices = mesh.geometry?.attributes?.position?.count || 0;
+    return vertices >= MIN_VERTICES;
+}
+
+/**
+ * World-space center of a mesh's bounding box
+ */
+function centerOf(mesh) {
+    const geometry = mesh.geometry;
+    if (!geometry.boundingBox) geometry.computeBoundingBox();
+    const center = geometry.boundingBox.getCenter(geometry.boundingBox.min.clone());
+    return mesh.localToWorld(center);
+}
+
+/**
+ * Selectable parts ordered by angle around the car (front, then clockwise)
+ * Cached per model; the model is loaded once (empty until then)
+ */
+export function getParts() {
+    const model = getSceneObject('model');
+    if (!model) return [];
+    if (model === cachedModel) return cachedParts;
+
+    const parts = [];
+    model.updateMatrixWorld(true);
+    model.traverse(child => {
+        if (!isSelectable(child)) return;
+        const center = centerOf(child);
+        parts.push({ mesh: child, angle: Math.atan2(center.x, center.z) });
+    });
+    parts.sort((a, b) => a.angle - b.angle || (a.mesh.name || '').localeCompare(b.mesh.name || ''));
+
+    cachedModel = model;
+    cachedParts = parts.map(part => part.mesh);
+    currentIndex = -1;
+    console.log('[Parts] Cycling through', cachedParts.length, 'parts');
+    return cachedParts;
+}
+
+/**
+ * URL-friendly id for a part, from its mesh name ('Engine_Block.001' -> 'engine-block-001')
+ */
+export function getPartSlug(mesh) {
+    return (mesh?.name || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Find a selectable part by slug: exact match first, then the first part whose slug starts with
+ * or contains it (so 'engine' finds 'engine-block')
+ */
+export function findPart(slug) {
+    const key = String(slug || '').toLowerCase();
+    if (!key) return null;
+    const parts = getParts();
+    return parts.find(mesh => getPartSlug(mesh) === key)
+        || parts.find(mesh => getPartSlug(mesh).startsWith(key))
+        || parts.find(mesh => getPartSlug(mesh).includes(key))
+        || null;
+}
+
+/**
+ * Select the part at an offset from the current one (wraps around)
+ */
+function cyclePart(step) {
+    const parts = getParts();
+    const selectPart = getSceneUI('selectPart');
+    if (!parts.length || !selectPart) return false;
+
+    // Continue from the part that's open (it may have been clicked with the mouse)
+    const getSelectedPart = getSceneUI('getSelectedPart');
+    const selected = getSelectedPart ? getSelectedPart() : null;
+    const selectedIndex = parts.indexOf(selected);
+    if (selectedIndex >= 0) currentIndex = selectedIndex;
+
+    if (currentIndex < 0) {
+        currentIndex = step > 0 ? 0 : parts.length - 1;
+    } else {
+        currentIndex = (currentIndex + step + parts.length) % parts.length;
+    }
+    selectPart(parts[currentIndex]);
+    return true;
+}
+
+/**
+ * Open the next part's menu
+ */
+export function cyclePartNext() {
+    return cyclePart(1);
+}
+
+/**
+ * Open the previous part's menu
+ */
+export function cyclePartPrevious() {
+    return cyclePart(-1);
+}
@@ -0,0 +1,164 @@
+// Turntable controller for the car's auto-rotate
+// Owns on/off, speed, direction and analog steering; eases between speeds and advances by real
+// elapsed time, so rotation is the same at any frame rate
+
+import { registerSceneHook } from './bridge.js';
+
+// Default auto-rotate speed (the legacy loop added 0.005 rad per frame at 60fps)
+const DEFAULT_SPEED = 0.3; // rad/s
+
+// Time constant for easing towards a new speed (s); ~95% of the change happens in 3x this
+const EASE_TIME = 0.35;
+
+// Longest step applied at once, so returning to a background tab doesn't jump the car around
+const MAX_DELTA = 0.1; // s
+
+// Analog steering maps stick deflection to this range of the base speed
+const STEER_MIN = 0.1;
+const STEER_MAX = 2.0;
+
+let enabled = true;
+let speed = DEFAULT_SPEED;
+let direction = 1;
+let steer = 0;              // Analog steering input, -1..1 (0 = not steering)
+let velocity = 0;           // Current eased angular velocity (rad/s)
+let lastStepAt = null;
+const pauses = new Set();   // Reasons rotation is held (e.g. 'partMenu'), independent of the user's toggle
+const listeners = new Set();
+
+/**
+ * Notify change listeners
+ */
+function emitChange() {
+    const state = getTurntableState();
+    listeners.forEach(listener => listener(state));
+}
+
+/**
+ * Snapshot of the turntable state
+ */
+export function getTurntableState() {
+    return { enabled, active: isTurntableActive(), speed, direction, steer, velocity };
+}
+
+/**
+ * Listen for on/off, speed and direction changes; returns an unsubscribe function
+ */
+export function subscribeTurntable(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+}
+
+/**
+ * Whether auto-rotate is switched on (the user's preference)
+ */
+export function isTurntableEnabled() {
+    return enabled;
+}
+
+/**
+ * Whether the turntable is currently driving the car (switched on and not paused)
+ */
+export function isTurntableActive() {
+    return enabled && pauses.size === 0;
+}
+
+/**
+ * Switch auto-rotate on/off (eases in/out rather than snapping)
+ */
+export function setTurntableEnabled(value) {
+    if (enabled === !!value) return;
+    enabled = !!value;
+    if (!enabled) steer = 0;
+    emitChange();
+}
+
+/**
+ * Toggle auto-rotate
+ */
+export function toggleTurntable() {
+    setTurntableEnabled(!enabled);
+}
+
+/**
+ * Set the base speed in rad/s
+ */
+export function setTurntableSpeed(value) {
+    if (!Number.isFinite(value) || value < 0) return;
+    speed = value;
+    emitChange();
+}
+
+/**
+ * Set the rotation direction (1 or -1)
+ */
+export function setTurntableDirection(value) {
+    direction = value < 0 ? -1 : 1;
+    emitChange();
+}
+
+/**
+ * Steer with an analog input (-1..1): magnitude scales the speed, sign picks the direction
+ * 0 hands control back to the base speed/direction
+ */
+export function steerTurntable(input) {
+    steer = Math.abs(input || 0) < 0.01 ? 0 : Math.max(-1, Math.min(1, input));
+}
+
+/**
+ * Angular velocity the turntable is easing towards (rad/s)
+ */
+function targetVelocity() {
+    if (!isTurntableActive()) return 0;
+    if (!steer) return speed * direction;
+    return speed * Math.sign(steer) * (STEER_MIN + Math.abs(steer) * (STEER_MAX - STEER_MIN));
+}
+
+/**
+ * Hold rotation for a reason (e.g. while the part menu is open) without touching the on/off state
+ */
+export function pauseTurntable(reason) {
+    if (pauses.has(reason)) return;
+    pauses.add(reason);
+    emitChange();
+}
+
+/**
+ * Release a hold placed with pauseTurntable
+ */
+export function resumeTurntable(reason) {
+    if (!pauses.delete(reason)) return;
+    emitChange();
+}
+
+/**
+ * Advance the model by the time since the last step; called once per frame by the render loop
+ * Returns whether the model moved
+ */
+export function stepTurntable(model, now = performance.now()) {
+    const delta = lastStepAt === null ? 0 : Math.min(MAX_DELTA, (now - lastStepAt) / 1000);
+    lastStepAt = now;
+    if (!model || delta <= 0) return false;
+
+    const target = targetVelocity();
+    velocity += (target - velocity) * (1 - Math.exp(-delta / EASE_TIME));
+    if (Math.abs(velocity) < 0.0005 && target === 0) {
+        velocity = 0;
+        return false;
+    }
+
+    model.rotation.y += velocity * delta;
+    return true;
+}
+
+/**
+ * Initialize the turntable and hand its hooks to the legacy render loop and part menu
+ */
+export function initTurntable() {
+    registerSceneHook('turntable', {
+        step: stepTurntable,
+        pause: pauseTurntable,
+        resume: resumeTurntable
+    });
+    console.log('[Turntable] Initialized');
+}
@@ -0,0 +1,244 @@
+// Camera presets ("views") with an eased fly-to
+// Viewpoints are defined in the car's own frame (right/up/forward), so each view frames the same
+// side of the car wherever the turntable has left it. A ?view=<name> deep link applies once the
+// intro zoom has finished
+
+import { Box3, Vector3 } from 'three';
+import { getSceneObject, whenSceneObject } from './bridge.js';
+import { setTurntableEnabled } from './turntable.js';
+
+// Same duration/ease family as the part-menu camera focus in main.js
+const FLY_DURATION = 1.2; // s
+const FLY_EASE = 'power2.inOut';
+
+// Fired by enterFlow.js when the intro camera zoom completes
+const INTRO_EVENT = 'carholo:introcomplete';
+
+// Offsets from the car's center as [right, up, forward], in multiples of the car's largest dimension
+// The car's length axis is taken as forward; its positive end is treated as the front
+export const VIEWS = [
+    { name: 'front', label: 'Front', position: [0, 0.22, 0.75], target: [0, 0, 0] },
+    { name: 'rear', label: 'Rear', position: [0, 0.22, -0.75], target: [0, 0, 0] },
+    { name: 'profile', label: 'Profile', position: [0.8, 0.1, 0], target: [0, 0, 0] },
+    { name: 'wheel', label: 'Wheel', position: [0.55, 0, 0.45], target: [0.2, -0.08, 0.3] },
+    { name: 'interior', label: 'Interior', position: [-0.04, 0.08, -0.03], target: [-0.04, 0.05, 0.5] },
+    { name: 'top', label: 'Top', position: [0, 0.95, 0.02], target: [0, 0, 0] }
+];
+
+let introComplete = false;
+let currentIndex = -1;
+let flight = null;
+let measuredModel = null;
+let measured = null;
+const listeners = new Set();
+
+/**
+ * Notify view change listeners
+ */
+function emitChange() {
+    const view = VIEWS[currentIndex] || null;
+    listeners.forEach(listener => listener(view));
+}
+
+/**
+ * Listen for view changes (called with the view, or null once the user moves the camera away)
+ * Returns an unsubscribe function
+ */
+export function subscribeViews(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+}
+
+/**
+ * Look up a view by name (case-insensitive)
+ */
+export function getView(name) {
+    const key = String(name || '').toLowerCase();
+    return VIEWS.find(view => view.name === key) || null;
+}
+
+/**
+ * The view the camera is at (or flying to), or null after free orbiting
+ */
+export function getCurrentView() {
+    return VIEWS[currentIndex] || null;
+}
+
+/**
+ * Whether the intro zoom has finished (views wait for it so they don't fight the intro tween)
+ */
+export function isIntroComplete() {
+    return introComplete;
+}
+
+/**
+ * Car center (relative to its pivot), largest dimension and length axis, measured unrotated
+ * Cached per model; the turntable only changes the heading
+ */
+function measureCar(model) {
+    if (model === measuredModel) return measured;
+
+    const heading = model.rotation.y;
+    model.rotation.y = 0;
+    model.updateMatrixWorld(true);
+    const box = new Box3().setFromObject(model);
+    model.rotation.y = heading;
+    model.updateMatrixWorld(true);
+
+    const size = box.getSize(new Vector3());
+    measuredModel = model;
+    measured = {
+        center: box.getCenter(new Vector3()).sub(model.position),
+        maxDim: Math.max(size.x, size.y, size.z) || 1,
+        lengthAlongZ: size.z >= size.x
+    };
+    return measured;
+}
+
+/**
+ * Convert a car-frame offset ([right, up, forward] in car lengths) to a world position
+ */
+function toWorld(model, car, [right, up, forward]) {
+    // Car frame at heading 0, then rotated with the model around the vertical axis
+    const x = car.lengthAlongZ ? right : forward;
+    const z = car.lengthAlongZ ? forward : -right;
+    const heading = model.rotation.y;
+    const cos = Math.cos(heading);
+    const sin = Math.sin(heading);
+    const local = new Vector3(x, up, z).multiplyScalar(car.maxDim).add(car.center);
+
+    return new Vector3(
+        local.x * cos + local.z * sin,
+        local.y,
+        -local.x * sin + local.z * cos
+    ).add(model.position);
+}
+
+/**
+ * Stop a fly-to in progress (e.g. when the user grabs the camera)
+ */
+function cancelFlight() {
+    if (!flight) return;
+    flight.kill();
+    flight = null;
+}
+
+/**
+ * Ease the camera and orbit target to a view
+ * Returns false when the view is unknown, the scene isn't ready, the intro is still running or
+ * interaction is disabled
+ */
+export function flyToView(name) {
+    const view = getView(name);
+    const camera = getSceneObject('camera');
+    const controls = getSceneObject('controls');
+    const model = getSceneObject('model');
+    if (!view || !camera || !controls || !model || !introComplete || !controls.enabled) return false;
+
+    // A preset frames one side of the car, so the turntable stops there (R/the button restarts it)
+    setTurntableEnabled(false);
+
+    const car = measureCar(model);
+    const position = toWorld(model, car, view.position);
+    const target = toWorld(model, car, view.target);
+
+    currentIndex = VIEWS.indexOf(view);
+    emitChange();
+    cancelFlight();
+
+    const gsap = window.gsap;
+    if (!gsap) {
+        camera.position.copy(position);
+        controls.target.copy(target);
+        controls.update();
+        return true;
+    }
+
+    const camPos = camera.position.clone();
+    const camTarget = controls.target.clone();
+    flight = gsap.timeline({ onComplete: () => { flight = null; } });
+    flight.to(camPos, {
+        x: position.x,
+        y: position.y,
+        z: position.z,
+        duration: FLY_DURATION,
+        ease: FLY_EASE,
+        onUpdate: () => camera.position.copy(camPos)
+    }, 0).to(camTarget, {
+        x: target.x,
+        y: target.y,
+        z: target.z,
+        duration: FLY_DURATION,
+        ease: FLY_EASE,
+        onUpdate: () => {
+            controls.target.copy(camTarget);
+            controls.update();
+        }
+    }, 0);
+    return true;
+}
+
+/**
+ * Step to the next/previous view (wraps around)
+ */
+function cycleView(step) {
+    const start = currentIndex < 0 ? (step > 0 ? -1 : 0) : currentIndex;
+    const index = (start + step + VIEWS.length) % VIEWS.length;
+    return flyToView(VIEWS[index].name);
+}
+
+/**
+ * Fly to the next view
+ */
+export function nextView() {
+    return cycleView(1);
+}
+
+/**
+ * Fly to the previous view
+ */
+export function previousView() {
+    return cycleView(-1);
+}
+
+/**
+ * Forget the current view after the user moves the camera by hand
+ */
+export function clearView() {
+    cancelFlight();
+    if (currentIndex < 0) return;
+    currentIndex = -1;
+    emitChange();
+}
+
+/**
+ * Resolves once the intro zoom has finished (immediately if the scene is already revealed)
+ */
+export function whenIntroComplete() {
+    if (introComplete) return Promise.resolve();
+    return new Promise(resolve => window.addEventListener(INTRO_EVENT, () => resolve(), { once: true }));
+}
+
+/**
+ * Initialize views: track the intro, drop the current view on manual orbiting and apply ?view=
+ */
+export function initViews() {
+    // The canvas container gets 'loaded' when the scene fade-in (and the intro zoom) is done
+    introComplete = !!document.querySelector('#canvas-container.loaded');
+    whenIntroComplete().then(() => { introComplete = true; });
+
+    whenSceneObject('controls').then(controls => {
+        controls.addEventListener('start', clearView);
+    });
+
+    const requested = new URLSearchParams(window.location.search).get('view');
+    if (requested) {
+        if (!getView(requested)) {
+            console.warn('[Views] Unknown view in URL:', requested);
+        } else {
+            Promise.all([whenIntroComplete(), whenSceneObject('model')])
+                .then(() => flyToView(requested));
+        }
+    }
+    console.log('[Views] Initialized');
+}
@@ -0,0 +1,191 @@
+// History article content: a structured document (content/*.json) rendered into the history overlay.
+// main.js asks the 'article' scene hook for the article markup each time the overlay opens and falls
+// back to its built-in copy when the hook is missing (legacy mode, or the document failed to load).
+//
+// Document shape:
+//   { id, title, subtitle?, sections: [{ id, heading, blocks: [...] }] }
+// A section's id becomes its <h3> id (deep links and the table of contents use it); the first
+// section may have a null heading for the introduction. Blocks:
+//   { type: 'paragraph', text }                         **strong** and *emphasis* inline
+//   { type: 'image', src, caption, alt?, layout?, lightbox?, srcset?, placeholder?, full?, credit? }
+//   { type: 'video', src, caption, poster?, layout?, lightbox? }
+//   { type: 'chart', id, title, series: [{ label, style? }] }
+// layout: 'fullwidth' spans the article with a parallax; lightbox: false keeps media out of the
+// lightbox. Media attributes map onto gallery.js' data attributes
+
+import { registerSceneHook } from '../scene/bridge.js';
+
+const DEFAULT_ARTICLE_URL = new URL('../../content/porsche-history.json', import.meta.url);
+
+let article = null;
+
+/**
+ * The loaded article document, or null before it has loaded
+ */
+export function getArticle() {
+    return article;
+}
+
+/**
+ * Escape text for HTML content and attribute values
+ */
+export function escapeHtml(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Escape text and apply the inline markup (**strong**, *emphasis*)
+ */
+function renderInline(text) {
+    return escapeHtml(text)
+        .replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>')
+        .replace(/\*(.+?)\*/g, '<em>$1</em>');
+}
+
+/**
+ * Attribute string from a map; null/undefined/false values are left out, true renders bare
+ */
+function attrs(map) {
+    return Object.entries(map)
+        .filter(([, value]) => value != null && value !== false)
+        .map(([name, value]) => (value === true ? ` ${name}` : ` ${name}="${escapeHtml(value)}"`))
+        .join('');
+}
+
+/**
+ * The <img>/<video> for a media block; src stays in data-src for lazyMedia.js to load
+ */
+function renderMedia(block) {
+    const optOut = block.lightbox === false ? 'true' : null;
+    if (block.type === 'video') {
+        return `<video${attrs({
+            'data-src': block.src,
+            preload: 'none',
+            autoplay: true,
+            loop: true,
+            muted: true,
+            playsinline: true,
+            'data-poster': block.poster,
+            'data-placeholder': block.placeholder,
+            'data-credit': block.credit,
+            'data-no-lightbox': optOut
+        })}></video>`;
+    }
+    return `<img${attrs({
+        'data-src': block.src,
+        'data-srcset': block.srcset,
+        'data-placeholder': block.placeholder,
+        'data-full': block.full,
+        'data-credit': block.credit,
+        'data-no-lightbox': optOut,
+        alt: block.alt ?? block.caption ?? '',
+        decoding: 'async'
+    })}>`;
+}
+
+/**
+ * Inline media with a caption underneath, or a full-width block with the caption overlaid
+ */
+function renderMediaBlock(block) {
+    const caption = renderInline(block.caption);
+    if (block.layout === 'fullwidth') {
+        return `<div class="porsche-history-fullwidth-image">
+            ${renderMedia(block)}
+            <div class="porsche-history-fullwidth-image-caption">${caption}</div>
+        </div>`;
+    }
+    return `<div class="porsche-history-image-wrapper">
+            <div class="porsche-history-image">${renderMedia(block)}</div>
+            <div class="porsche-history-image-caption">${caption}</div>
+        </div>`;
+}
+
+/**
+ * Chart with its legend; main.js draws and animates the canvas when the article opens
+ */
+function renderChart(block) {
+    const legend = (block.series || []).map(series => `
+                <div class="porsche-history-stock-chart-legend-item">
+                    <div class="porsche-history-stock-chart-legend-line${series.style ? ` ${escapeHtml(series.style)}` : ''}"></div>
+                    <span>${escapeHtml(series.label)}</span>
+                </div>`).join('');
+    return `<div class="porsche-history-stock-chart-separator"></div>
+
+        <div class="porsche-history-stock-chart">
+            <div class="porsche-history-stock-chart-title">${escapeHtml(block.title)}</div>
+            <canvas${attrs({ id: block.id })} width="800" height="200"></canvas>
+            <div class="porsche-history-stock-chart-legend">${legend}
+            </div>
+        </div>`;
+}
+
+const BLOCK_RENDERERS = {
+    paragraph: block => `<p>${renderInline(block.text)}</p>`,
+    image: renderMediaBlock,
+    video: renderMediaBlock,
+    chart: renderChart
+};
+
+function renderBlock(block) {
+    const render = BLOCK_RENDERERS[block.type];
+    if (!render) {
+        console.warn('[Article] Unknown block type:', block.type);
+        return '';
+    }
+    return render(block);
+}
+
+function renderSection(section) {
+    const parts = [];
+    if (section.heading) parts.push(`<h3${attrs({ id: section.id })}>${renderInline(section.heading)}</h3>`);
+    (section.blocks || []).forEach(block => parts.push(renderBlock(block)));
+    return parts.filter(Boolean);
+}
+
+/**
+ * Article markup for #porsche-history-content (subtitle, sections, then the done/purchase buttons)
+ */
+export function renderArticle(doc = article) {
+    if (!doc) return '';
+    const parts = [];
+    if (doc.subtitle) parts.push(`<p><em>${renderInline(doc.subtitle)}</em></p>`);
+    (doc.sections || []).forEach(section => parts.push(...renderSection(section)));
+    parts.push(`<div class="porsche-history-buttons">
+            <div class="porsche-history-done-button">I'M DONE READING</div>
+            <div class="porsche-history-buy-button">PURCHASE</div>
+        </div>`);
+    return `\n        ${parts.join('\n\n        ')}\n    `;
+}
+
+/**
+ * Fetch an article document
+ */
+export async function loadArticle(url = DEFAULT_ARTICLE_URL) {
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`HTTP ${response.status} for ${url}`);
+    const doc = await response.json();
+    if (!Array.isArray(doc.sections)) throw new Error(`No sections in ${url}`);
+    return doc;
+}
+
+/**
+ * Load the article and hand it to main.js; until then (or if loading fails) the built-in copy shows
+ */
+export async function initArticle(url = DEFAULT_ARTICLE_URL) {
+    try {
+        article = await loadArticle(url);
+    } catch (err) {
+        console.warn('[Article] Failed to load article, using built-in content:', err);
+        return;
+    }
+
+    const title = document.getElementById('porsche-history-title');
+    if (title && article.title) title.textContent = article.title;
+
+    registerSceneHook('article', { render: () => renderArticle(article) });
+    console.log('[Article] Loaded:', article.id, `(${article.sections.length} sections)`);
+}
@@ -0,0 +1,223 @@
+// History article navigation: table of contents sidebar, reading progress and section jumps
+// The contents are generated from the article document (article.js), or from the <h3 id> headings
+// when the built-in copy is showing. The active entry follows the reading position, the custom
+// scrollbar's track fills with the part already read, and the reading position survives closing
+// and reopening the article
+
+import { onSceneEvent } from '../scene/bridge.js';
+import { getArticle } from './article.js';
+
+// Label for a section without a heading (the introduction)
+const INTRO_LABEL = 'Introduction';
+
+// Gap between the sidebar and the article container (px); narrower windows hide the sidebar
+const TOC_GAP = 32;
+
+// Delay before the sidebar appears (the article container animates in first)
+const SHOW_DELAY = 300;
+
+// A jump target counts as reached after this long, even if the smooth scroll didn't report it
+const JUMP_SETTLE_MS = 800;
+
+let elements = null;
+let entries = []; // { id, label, heading: Element|null, link: Element }
+let savedScrollTop = 0;
+let frame = null;
+let showTimer = null;
+let jumpTarget = null; // { index, time } while a section jump is scrolling
+
+function isHistoryOpen() {
+    const overlay = document.getElementById('porsche-history-overlay');
+    return !!overlay && overlay.classList.contains('visible');
+}
+
+/**
+ * Heading id at the top third of the reading area, or null above the first heading
+ */
+export function getCurrentSection() {
+    const content = document.getElementById('porsche-history-content');
+    if (!content) return null;
+    const threshold = content.getBoundingClientRect().top + content.clientHeight / 3;
+    let current = null;
+    content.querySelectorAll('h3[id]').forEach(heading => {
+        if (heading.getBoundingClientRect().top <= threshold) current = heading.id;
+    });
+    return current;
+}
+
+/**
+ * Scroll the article to a section heading (null scrolls to the top); false for unknown sections
+ */
+export function scrollToSection(id, behavior = 'smooth') {
+    const content = document.getElementById('porsche-history-content');
+    if (!content) return false;
+    if (!id) {
+        content.scrollTo({ top: 0, behavior });
+        return true;
+    }
+    const heading = document.getElementById(id);
+    if (!heading || !content.contains(heading)) {
+        console.warn('[ArticleNav] Unknown history section:', id);
+        return false;
+    }
+    heading.scrollIntoView({ block: 'start', behavior });
+    return true;
+}
+
+/**
+ * Sections of the rendered article: from the article document, or the headings themselves
+ */
+function collectSections(content) {
+    const doc = getArticle();
+    if (doc) {
+        return doc.sections.map(section => {
+            const heading = section.heading ? document.getElementById(section.id) : null;
+            return {
+                id: heading ? section.id : null,
+                label: heading ? heading.textContent : INTRO_LABEL,
+                heading: heading && content.contains(heading) ? heading : null
+            };
+        });
+    }
+    const headings = Array.from(content.querySelectorAll('h3[id]'));
+    return [
+        { id: null, label: INTRO_LABEL, heading: null },
+        ...headings.map(heading => ({ id: heading.id, label: heading.textContent, heading }))
+    ];
+}
+
+/**
+ * Rebuild the sidebar entries for freshly rendered article content
+ */
+function renderToc(content) {
+    elements.list.innerHTML = '';
+    entries = collectSections(content).map(section => {
+        const item = document.createElement('li');
+        const link = document.createElement('button');
+        link.type = 'button';
+        link.className = 'porsche-history-toc-link';
+        link.textContent = section.label;
+        if (section.id) link.dataset.section = section.id;
+        item.appendChild(link);
+        elements.list.appendChild(item);
+        return { ...section, link };
+    });
+}
+
+/**
+ * Index of the entry being read: the last one scrolled to the bottom, else the current heading
+ */
+function getActiveIndex(content) {
+    if (content.scrollTop >= content.scrollHeight - content.clientHeight - 2) return entries.length - 1;
+    const current = getCurrentSection();
+    const index = entries.findIndex(entry => entry.id === current);
+    return index >= 0 ? index : 0;
+}
+
+/**
+ * Keep the sidebar left of the article container (like the scrollbar on its right)
+ */
+function positionToc() {
+    const container = document.getElementById('porsche-history-container');
+    if (!container) return;
+    const rect = container.getBoundingClientRect();
+    const width = elements.toc.offsetWidth;
+    const fits = rect.left - width - TOC_GAP * 2 >= 0;
+    elements.toc.classList.toggle('hidden', !fits);
+    elements.toc.style.left = `${rect.left - width - TOC_GAP}px`;
+    elements.toc.style.top = `${rect.top}px`;
+    elements.toc.style.maxHeight = `${rect.height}px`;
+}
+
+/**
+ * Sync the active entry and reading progress with the scroll position
+ */
+function update() {
+    frame = null;
+    const content = document.getElementById('porsche-history-content');
+    if (!content || !isHistoryOpen()) return;
+
+    const active = getActiveIndex(content);
+    entries.forEach((entry, index) => {
+        entry.link.classList.toggle('active', index === active);
+        entry.link.classList.toggle('read', index < active);
+    });
+
+    const max = content.scrollHeight - content.clientHeight;
+    const progress = max > 0 ? Math.min(1, content.scrollTop / max) : 1;
+    elements.progress.style.height = `${progress * 100}%`;
+    elements.percent.textContent = `${Math.round(progress * 100)}% read`;
+
+    positionToc();
+}
+
+function scheduleUpdate() {
+    if (!frame) frame = requestAnimationFrame(update);
+}
+
+/**
+ * Jump to the next/previous section; false unless the article is open
+ * Repeated presses during a smooth scroll step on from the section being scrolled to
+ */
+export function jumpSection(direction) {
+    const content = document.getElementById('porsche-history-content');
+    if (!content || !isHistoryOpen() || !entries.length) return false;
+
+    const now = performance.now();
+    const from = jumpTarget && now - jumpTarget.time < JUMP_SETTLE_MS ? jumpTarget.index : getActiveIndex(content);
+    const index = Math.max(0, Math.min(entries.length - 1, from + (direction === 'prev' ? -1 : 1)));
+    jumpTarget = { index, time: now };
+    return scrollToSection(entries[index].id);
+}
+
+/**
+ * The article opened: rebuild the contents and return to where the reader left off
+ */
+function handleShow({ content }) {
+    renderToc(content);
+    if (savedScrollTop > 0) content.scrollTop = savedScrollTop;
+    jumpTarget = null;
+
+    clearTimeout(showTimer);
+    showTimer = setTimeout(() => {
+        update();
+        elements.toc.classList.add('visible');
+    }, SHOW_DELAY);
+}
+
+/**
+ * The article is closing: remember the reading position
+ */
+function handleHide({ scrollTop }) {
+    savedScrollTop = scrollTop;
+    clearTimeout(showTimer);
+    elements.toc.classList.remove('visible');
+}
+
+/**
+ * Initialize the history table of contents, reading progress and section jumps
+ */
+export function initArticleNav() {
+    const toc = document.getElementById('porsche-history-toc');
+    const list = document.getElementById('porsche-history-toc-list');
+    const percent = document.getElementById('porsche-history-toc-progress');
+    const progress = document.getElementById('porsche-history-scrollbar-progress');
+    const content = document.getElementById('porsche-history-content');
+    if (!toc || !list || !percent || !progress || !content) return;
+    elements = { toc, list, percent, progress };
+
+    onSceneEvent('historyShow', handleShow);
+    onSceneEvent('historyHide', handleHide);
+    content.addEventListener('scroll', scheduleUpdate, { passive: true });
+    window.addEventListener('resize', scheduleUpdate);
+
+    list.addEventListener('click', (e) => {
+        const link = e.target.closest('.porsche-history-toc-link');
+        if (!link) return;
+        e.stopPropagation();
+        jumpTarget = null;
+        scrollToSection(link.dataset.section || null);
+    });
+
+    console.log('[ArticleNav] Initialized');
+}
@@ -0,0 +1,237 @@
+// In-article search for the history overlay
+// Highlights every match of the query in the article's text and captions, shows "n of total" and
+// steps through the matches (Enter/Shift+Enter, the arrow buttons, gamepad X/Y), scrolling each into
+// view. A match in an image caption can open that picture in the lightbox
+
+import { getSceneHook, getSceneUI, onSceneEvent } from '../scene/bridge.js';
+
+// Shorter queries would highlight half the article
+const MIN_QUERY_LENGTH = 2;
+
+// Typing pause before the article is searched (ms)
+const SEARCH_DELAY = 150;
+
+// Searchable text blocks; the done/purchase buttons and the chart stay out
+const TEXT_BLOCKS = 'p, h3, .porsche-history-image-caption, .porsche-history-fullwidth-image-caption';
+const CAPTION_BLOCKS = '.porsche-history-image-caption, .porsche-history-fullwidth-image-caption';
+
+const MATCH_CLASS = 'porsche-history-search-match';
+
+let elements = null;
+let matches = []; // { marks: HTMLElement[], block: Element }
+let current = -1;
+let searchTimer = null;
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Whether the article is open with matches to step through
+ */
+export function hasSearchMatches() {
+    const overlay = document.getElementById('porsche-history-overlay');
+    return !!overlay && overlay.classList.contains('visible') && matches.length > 0;
+}
+
+/**
+ * Remove all highlights, restoring the original text nodes
+ */
+function clearHighlights() {
+    const parents = new Set();
+    elements.content.querySelectorAll(`mark.${MATCH_CLASS}`).forEach(mark => {
+        parents.add(mark.parentNode);
+        mark.replaceWith(...mark.childNodes);
+    });
+    parents.forEach(parent => parent.normalize());
+    matches = [];
+    current = -1;
+}
+
+/**
+ * Wrap every occurrence of the query in one text block; a match crossing inline elements
+ * (e.g. into a <strong>) gets one mark per text node
+ */
+function highlightBlock(block, pattern) {
+    const nodes = [];
+    let text = '';
+    const walker = document.createTreeWalker(block, NodeFilter.SHOW_TEXT);
+    while (walker.nextNode()) {
+        nodes.push({ node: walker.currentNode, start: text.length });
+        text += walker.currentNode.data;
+    }
+
+    const ranges = Array.from(text.matchAll(pattern), m => [m.index, m.index + m[0].length]);
+    const blockMatches = [];
+    // Back to front: wrapping splits text nodes, which keeps the offsets before the split valid
+    for (let r = ranges.length - 1; r >= 0; r--) {
+        const [start, end] = ranges[r];
+        const marks = [];
+        for (let n = nodes.length - 1; n >= 0; n--) {
+            const { node, start: nodeStart } = nodes[n];
+            const from = Math.max(start, nodeStart) - nodeStart;
+            const to = Math.min(end, nodeStart + node.data.length) - nodeStart;
+            if (from >= to) continue;
+            const range = document.createRange();
+            range.setStart(node, from);
+            range.setEnd(node, to);
+            const mark = document.createElement('mark');
+            mark.className = MATCH_CLASS;
+            range.surroundContents(mark);
+            marks.unshift(mark);
+        }
+        blockMatches.unshift({ marks, block });
+    }
+    return blockMatches;
+}
+
+/**
+ * Lightbox index of the picture a caption belongs to, or -1 (no caption, or the media opted out)
+ */
+function captionMediaIndex(match) {
+    const caption = match?.block.closest(CAPTION_BLOCKS);
+    if (!caption) return -1;
+    const block = caption.closest('.porsche-history-image-wrapper, .porsche-history-fullwidth-image');
+    const media = block?.querySelector('img, video');
+    const lightbox = getSceneHook('lightbox');
+    return media && lightbox ? lightbox.indexOf(media) : -1;
+}
+
+/**
+ * Update the "n of total" counter and the buttons
+ */
+function renderStatus() {
+    const query = elements.input.value.trim();
+    if (query.length < MIN_QUERY_LENGTH) {
+        elements.count.textContent = '';
+    } else {
+        elements.count.textContent = matches.length ? `${current + 1} of ${matches.length}` : 'No matches';
+    }
+    elements.prev.disabled = matches.length < 2;
+    elements.next.disabled = matches.length < 2;
+    elements.open.hidden = captionMediaIndex(matches[current]) < 0;
+}
+
+/**
+ * Make a match the current one and scroll it into view
+ */
+function setCurrent(index, scroll = true) {
+    matches[current]?.marks.forEach(mark => mark.classList.remove('current'));
+    current = index;
+    const match = matches[current];
+    if (match) {
+        match.marks.forEach(mark => mark.classList.add('current'));
+        if (scroll) match.marks[0].scrollIntoView({ block: 'center', behavior: 'smooth' });
+    }
+    renderStatus();
+}
+
+/**
+ * Highlight the input's query in the article; the first match at or below the reading position
+ * becomes current
+ */
+function search({ scroll = true } = {}) {
+    clearTimeout(searchTimer);
+    searchTimer = null;
+    clearHighlights();
+    const query = elements.input.value.trim();
+    if (query.length < MIN_QUERY_LENGTH) {
+        renderStatus();
+        return;
+    }
+
+    const pattern = new RegExp(escapeRegExp(query), 'gi');
+    elements.content.querySelectorAll(TEXT_BLOCKS).forEach(block => {
+        matches.push(...highlightBlock(block, pattern));
+    });
+
+    const top = elements.content.getBoundingClientRect().top;
+    const next = matches.findIndex(match => match.marks[0].getBoundingClientRect().bottom >= top);
+    setCurrent(matches.length ? Math.max(0, next) : -1, scroll);
+}
+
+/**
+ * Step to the next/previous match (wrapping around); false when there is nothing to step through
+ */
+export function stepSearch(direction) {
+    if (!hasSearchMatches()) return false;
+    const step = direction === 'prev' ? -1 : 1;
+    setCurrent((current + step + matches.length) % matches.length);
+    return true;
+}
+
+/**
+ * Open the picture whose caption holds the current match
+ */
+export function openSearchMatch() {
+    const index = captionMediaIndex(matches[current]);
+    const showImageLightbox = getSceneUI('showImageLightbox');
+    if (index < 0 || !showImageLightbox) return false;
+    showImageLightbox(null, index);
+    return true;
+}
+
+/**
+ * Put the cursor in the search box (while the article is open)
+ */
+export function focusSearch() {
+    const overlay = document.getElementById('porsche-history-overlay');
+    if (!elements || !overlay?.classList.contains('visible')) return false;
+    elements.input.focus();
+    elements.input.select();
+    return true;
+}
+
+function handleInputKey(e) {
+    if (e.key === 'Enter') {
+        e.preventDefault();
+        if (searchTimer) search();
+        else stepSearch(e.shiftKey ? 'prev' : 'next');
+    } else if (e.key === 'Escape') {
+        // First Escape leaves the search; the next one closes the article as usual
+        e.preventDefault();
+        e.stopPropagation();
+        elements.input.value = '';
+        search();
+        elements.input.blur();
+    }
+}
+
+/**
+ * Initialize the history article search
+ */
+export function initArticleSearch() {
+    const input = document.getElementById('porsche-history-search-input');
+    const count = document.getElementById('porsche-history-search-count');
+    const prev = document.getElementById('porsche-history-search-prev');
+    const next = document.getElementById('porsche-history-search-next');
+    const open = document.getElementById('porsche-history-search-open');
+    const content = document.getElementById('porsche-history-content');
+    if (!input || !count || !prev || !next || !open || !content) return;
+    elements = { input, count, prev, next, open, content };
+
+    input.addEventListener('input', () => {
+        clearTimeout(searchTimer);
+        searchTimer = setTimeout(search, SEARCH_DELAY);
+    });
+    input.addEventListener('keydown', handleInputKey);
+    prev.addEventListener('click', () => stepSearch('prev'));
+    next.addEventListener('click', () => stepSearch('next'));
+    open.addEventListener('click', openSearchMatch);
+
+    // Clicking a highlighted caption match opens its picture (the lightbox handler sees media clicks only)
+    content.addEventListener('click', (e) => {
+        const mark = e.target instanceof Element ? e.target.closest(`mark.${MATCH_CLASS}`) : null;
+        const index = mark ? matches.findIndex(match => match.marks.includes(mark)) : -1;
+        if (index < 0 || captionMediaIndex(matches[index]) < 0) return;
+        setCurrent(index, false);
+        openSearchMatch();
+    });
+
+    // The article is re-rendered on every open: highlight the query again without jumping away
+    // from the restored reading position
+    onSceneEvent('historyShow', () => search({ scroll: false }));
+
+    renderStatus();
+    console.log('[ArticleSearch] Initialized');
+}
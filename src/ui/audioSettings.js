@@ -0,0 +1,63 @@
+// Audio settings panel under the music button (music/effects volume, mute, next track) and the
+// music button's playing state. The audio engine owns the settings; this only renders them and
+// writes slider changes back
+
+import { getAudioState, subscribeAudio, setAudioSettings } from '../audio/engine.js';
+
+let elements = null;
+let shownPlaying = null;
+
+/**
+ * Swap the music button between its play and pause icons
+ */
+function renderMusicButton(playing) {
+    if (playing === shownPlaying) return;
+    shownPlaying = playing;
+    elements.musicPlayer.classList.toggle('playing', playing);
+    elements.musicIcon.innerHTML = `<i data-feather="${playing ? 'pause' : 'music'}"></i>`;
+    if (typeof feather !== 'undefined') feather.replace();
+}
+
+function render(state) {
+    if (!state.settings) return;
+    const { settings } = state;
+    elements.panel.hidden = false;
+    elements.panel.classList.toggle('muted', settings.muted);
+    elements.music.value = Math.round(settings.music * 100);
+    elements.sfx.value = Math.round(settings.sfx * 100);
+    elements.mute.textContent = settings.muted ? 'UNMUTE' : 'MUTE';
+    elements.mute.setAttribute('aria-pressed', String(settings.muted));
+    elements.next.disabled = !state.playing || state.tracks < 2;
+    elements.track.textContent = state.track
+        ? [state.track.title, state.track.artist].filter(Boolean).join(' — ')
+        : '';
+    renderMusicButton(state.playing);
+}
+
+/**
+ * Wire up the panel; it stays hidden until the audio engine has loaded its config
+ */
+export function initAudioSettings() {
+    const panel = document.getElementById('audio-settings');
+    const musicPlayer = document.getElementById('music-player');
+    const musicIcon = document.getElementById('music-icon');
+    if (!panel || !musicPlayer || !musicIcon) return;
+    elements = {
+        panel,
+        musicPlayer,
+        musicIcon,
+        track: document.getElementById('audio-settings-track'),
+        music: document.getElementById('audio-music-volume'),
+        sfx: document.getElementById('audio-sfx-volume'),
+        mute: document.getElementById('audio-mute'),
+        next: document.getElementById('audio-next-track')
+    };
+
+    elements.music.addEventListener('input', () => setAudioSettings({ music: elements.music.value / 100 }));
+    elements.sfx.addEventListener('input', () => setAudioSettings({ sfx: elements.sfx.value / 100 }));
+    // Clicks on the panel shouldn't pick the part behind it
+    panel.addEventListener('click', e => e.stopPropagation());
+
+    subscribeAudio(render);
+    render(getAudioState());
+}
@@ -0,0 +1,339 @@
+// Configurator: priced alternatives for some parts (wheels, paint, exhaust) and a running build total
+// against a budget. Alternatives show in the part menu of the catalog part their category belongs to;
+// a choice the budget can't cover opens the out-of-funds overlay instead of being applied.
+// Choices can be undone/redone, the build is saved to localStorage on every change and can be
+// exported as a JSON spec sheet
+//
+// Config (content/configurator.json):
+//   { model, currency, basePrice, budget, categories: [{ id, name, part, default, options: [{ id, name, description, price }] }] }
+// `part` is a part catalog id (see partCatalog.js); prices are on top of basePrice
+
+import { getSceneUI } from '../scene/bridge.js';
+import { addPartMenuOptions } from './partCatalog.js';
+import { downloadFile } from './maintenanceReport.js';
+
+const DEFAULT_CONFIG_URL = new URL('../../content/configurator.json', import.meta.url);
+
+const STORAGE_KEY = 'carholo.build';
+
+// Let the part menu close before the out-of-funds overlay opens (like the article's purchase button)
+const OUT_OF_FUNDS_DELAY = 450;
+
+let config = null;
+let selections = {}; // category id -> option id
+let undoStack = []; // { category, from, to }
+let redoStack = [];
+let elements = null;
+let priceFormat = null;
+const listeners = new Set();
+
+function findCategory(id) {
+    return config?.categories.find(category => category.id === id) || null;
+}
+
+function findOption(category, id) {
+    return category?.options.find(option => option.id === id) || null;
+}
+
+/**
+ * Format an amount in the config's currency ('€3,950')
+ */
+export function formatPrice(amount) {
+    return priceFormat ? priceFormat.format(amount) : String(amount);
+}
+
+/**
+ * Price of a selection set: base price plus every chosen option
+ */
+function totalOf(set) {
+    return config.categories.reduce((sum, category) => {
+        return sum + (findOption(category, set[category.id])?.price || 0);
+    }, config.basePrice || 0);
+}
+
+/**
+ * Snapshot of the build, or null before the config has loaded
+ * @returns {{ total: number, budget: number, remaining: number, selections: Object<string, string>,
+ *   canUndo: boolean, canRedo: boolean } | null}
+ */
+export function getBuild() {
+    if (!config) return null;
+    const total = totalOf(selections);
+    return {
+        total,
+        budget: config.budget,
+        remaining: config.budget - total,
+        selections: { ...selections },
+        canUndo: undoStack.length > 0,
+        canRedo: redoStack.length > 0
+    };
+}
+
+/**
+ * Listen for build changes; returns an unsubscribe function
+ */
+export function subscribeBuild(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+}
+
+/**
+ * Spec sheet for the current build (what exportBuild() downloads)
+ */
+export function getSpecSheet() {
+    const build = getBuild();
+    if (!build) return null;
+    return {
+        model: config.model || '',
+        currency: config.currency,
+        basePrice: config.basePrice || 0,
+        budget: build.budget,
+        total: build.total,
+        remaining: build.remaining,
+        options: config.categories.map(category => {
+            const option = findOption(category, selections[category.id]);
+            return {
+                category: category.id,
+                categoryName: category.name,
+                id: option.id,
+                name: option.name,
+                price: option.price
+            };
+        }),
+        exported: new Date().toISOString()
+    };
+}
+
+/**
+ * Restore the saved build; unknown categories/options fall back to the defaults
+ */
+function loadSavedBuild() {
+    let stored = {};
+    try {
+        const raw = localStorage.getItem(STORAGE_KEY);
+        stored = raw ? JSON.parse(raw) : {};
+    } catch (err) {
+        console.warn('[Configurator] Could not read saved build:', err);
+    }
+    const saved = stored.model === config.model ? stored.selections || {} : {};
+    selections = {};
+    config.categories.forEach(category => {
+        const option = findOption(category, saved[category.id]) || findOption(category, category.default) || category.options[0];
+        selections[category.id] = option.id;
+    });
+}
+
+/**
+ * Write the build back to localStorage
+ */
+function saveBuild() {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify({
+            model: config.model,
+            selections,
+            total: totalOf(selections),
+            saved: new Date().toISOString()
+        }));
+    } catch (err) {
+        console.warn('[Configurator] Could not save build:', err);
+    }
+}
+
+/**
+ * Update the build summary panel
+ */
+function renderSummary(build) {
+    if (!elements) return;
+    elements.total.textContent = formatPrice(build.total);
+    elements.budget.textContent = formatPrice(build.budget);
+    elements.remaining.textContent = build.remaining >= 0
+        ? `${formatPrice(build.remaining)} left`
+        : `${formatPrice(-build.remaining)} over budget`;
+    elements.summary.classList.toggle('over-budget', build.remaining < 0);
+    elements.meter.style.width = `${Math.min(100, (build.total / build.budget) * 100)}%`;
+
+    elements.options.innerHTML = '';
+    config.categories.forEach(category => {
+        const option = findOption(category, build.selections[category.id]);
+        const item = document.createElement('li');
+        const name = document.createElement('span');
+        const price = document.createElement('span');
+        name.textContent = `${category.name}: ${option.name}`;
+        price.textContent = option.price ? `+${formatPrice(option.price)}` : '—';
+        item.append(name, price);
+        elements.options.appendChild(item);
+    });
+
+    elements.undo.disabled = !build.canUndo;
+    elements.redo.disabled = !build.canRedo;
+}
+
+/**
+ * Save, re-render and notify listeners after a change
+ */
+function emitChange() {
+    saveBuild();
+    const build = getBuild();
+    renderSummary(build);
+    listeners.forEach(listener => listener(build));
+}
+
+/**
+ * Open the out-of-funds overlay explaining why a choice was refused
+ */
+function showOutOfFunds(category, option, total) {
+    if (elements) {
+        elements.outOfFundsMessage.textContent = `${category.name}: ${option.name} (+${formatPrice(option.price)}) `
+            + `would bring the build to ${formatPrice(total)}, ${formatPrice(total - config.budget)} over `
+            + `your ${formatPrice(config.budget)} budget.`;
+    }
+    const showOutOfFundsPopup = getSceneUI('showOutOfFundsPopup');
+    if (!showOutOfFundsPopup) {
+        console.warn('[Configurator] Over budget:', option.name);
+        return;
+    }
+    setTimeout(showOutOfFundsPopup, OUT_OF_FUNDS_DELAY);
+}
+
+/**
+ * Choose an option for a category; true when the choice was applied, false for unknown or
+ * already chosen options and for choices over budget (which open the out-of-funds overlay)
+ */
+export function chooseOption(categoryId, optionId) {
+    const category = findCategory(categoryId);
+    const option = findOption(category, optionId);
+    if (!option) {
+        console.warn('[Configurator] Unknown option:', categoryId, optionId);
+        return false;
+    }
+    const from = selections[category.id];
+    if (from === option.id) return false;
+
+    const total = totalOf({ ...selections, [category.id]: option.id });
+    if (total > config.budget) {
+        showOutOfFunds(category, option, total);
+        return false;
+    }
+
+    selections[category.id] = option.id;
+    undoStack.push({ category: category.id, from, to: option.id });
+    redoStack = [];
+    console.log('[Configurator] Chose', option.name, `(total ${formatPrice(total)})`);
+    emitChange();
+    return true;
+}
+
+/**
+ * Take back the last choice; false when there is nothing to undo
+ */
+export function undoChoice() {
+    const change = undoStack.pop();
+    if (!change) return false;
+    selections[change.category] = change.from;
+    redoStack.push(change);
+    emitChange();
+    return true;
+}
+
+/**
+ * Make the last undone choice again; false when there is nothing to redo
+ */
+export function redoChoice() {
+    const change = redoStack.pop();
+    if (!change) return false;
+    selections[change.category] = change.to;
+    undoStack.push(change);
+    emitChange();
+    return true;
+}
+
+/**
+ * Download the spec sheet as JSON; false before the config has loaded
+ */
+export function exportBuild() {
+    const sheet = getSpecSheet();
+    if (!sheet) return false;
+    const name = `${(config.model || 'build').toLowerCase().replace(/[^a-z0-9]+/g, '-')}-spec.json`;
+    downloadFile(name, 'application/json', JSON.stringify(sheet, null, 2));
+    return true;
+}
+
+/**
+ * Part menu entries for the alternatives of a catalog part's categories
+ */
+function menuOptionsFor(part) {
+    if (!config) return [];
+    return config.categories
+        .filter(category => category.part === part.id)
+        .flatMap(category => {
+            const current = findOption(category, selections[category.id]);
+            return category.options.map(option => {
+                const selected = option.id === current.id;
+                const delta = option.price - current.price;
+                const cost = delta > 0 ? `+${formatPrice(delta)}` : delta < 0 ? `−${formatPrice(-delta)}` : 'No extra cost';
+                return {
+                    title: `${selected ? '✓ ' : ''}${category.name}: ${option.name}`,
+                    desc: selected ? `Selected · ${option.description || ''}` : `${cost} · ${option.description || ''}`,
+                    action: () => chooseOption(category.id, option.id)
+                };
+            });
+        });
+}
+
+/**
+ * Fetch a configurator config
+ */
+export async function loadConfiguratorConfig(url = DEFAULT_CONFIG_URL) {
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`HTTP ${response.status} for ${url}`);
+    const doc = await response.json();
+    if (!Array.isArray(doc.categories)) throw new Error(`No categories in ${url}`);
+    return doc;
+}
+
+/**
+ * Load the config and saved build, add the alternatives to the part menus and show the build summary
+ */
+export async function initConfigurator(url = DEFAULT_CONFIG_URL) {
+    try {
+        config = await loadConfiguratorConfig(url);
+    } catch (err) {
+        console.warn('[Configurator] Failed to load configurator:', err);
+        return;
+    }
+    config.categories = config.categories.filter(category => category.options?.length);
+    priceFormat = new Intl.NumberFormat('en', {
+        style: 'currency',
+        currency: config.currency || 'EUR',
+        maximumFractionDigits: 0
+    });
+    loadSavedBuild();
+
+    const summary = document.getElementById('build-summary');
+    const outOfFunds = document.getElementById('out-of-funds-overlay');
+    const outOfFundsMessage = document.getElementById('out-of-funds-message');
+    if (summary && outOfFunds && outOfFundsMessage) {
+        elements = {
+            summary,
+            outOfFundsMessage,
+            total: document.getElementById('build-summary-total'),
+            budget: document.getElementById('build-summary-budget'),
+            remaining: document.getElementById('build-summary-remaining'),
+            meter: document.getElementById('build-summary-meter-fill'),
+            options: document.getElementById('build-summary-options'),
+            undo: document.getElementById('build-undo'),
+            redo: document.getElementById('build-redo')
+        };
+        summary.hidden = false;
+        // Clicks on the panel shouldn't pick the part behind it
+        summary.addEventListener('click', e => e.stopPropagation());
+        // The article's purchase button opens the overlay too; the message is only for refused choices
+        new MutationObserver(() => {
+            if (!outOfFunds.classList.contains('visible')) outOfFundsMessage.textContent = '';
+        }).observe(outOfFunds, { attributes: true, attributeFilter: ['class'] });
+        renderSummary(getBuild());
+    }
+
+    addPartMenuOptions(menuOptionsFor);
+    console.log('[Configurator] Loaded', config.categories.length, 'categories, build', formatPrice(totalOf(selections)));
+}
@@ -0,0 +1,206 @@
+// Overlay state in the URL hash
+//   #history                the history article
+//   #history/<section-id>   the article scrolled to a section (an <h3> id)
+//   #history/image/<n>      item n (1-based, as in the lightbox counter) open in the lightbox
+//   #part/<part>            a part's menu (part slug, see parts.js)
+// Opening an overlay pushes a history entry and closing it pops that entry again, so the browser's
+// Back/Forward close and reopen overlays in order. A hash in the URL is applied after the intro
+
+import { getSceneUI, onSceneEvent, whenSceneReady, whenSceneObject } from '../scene/bridge.js';
+import { whenIntroComplete } from '../scene/views.js';
+import { findPart, getPartSlug } from '../scene/parts.js';
+import { getCurrentSection, scrollToSection } from './articleNav.js';
+
+// Marks history entries this module pushed (only those are popped when an overlay closes)
+const STATE_KEY = 'carholoOverlay';
+
+// Time overlays get to finish opening/closing after a hash is applied before the URL is re-synced
+const APPLY_SETTLE_MS = 700;
+
+// Delay before scrolling to a section in a freshly opened article (lets the open animation start)
+const SECTION_SCROLL_DELAY = 350;
+
+let lightboxIndex = -1;
+let suspended = false;
+let pendingPop = false;
+let syncFrame = null;
+let settleTimer = null;
+
+/**
+ * Parse a hash into { history, section, image, part } (image is 0-based); {} for a malformed hash
+ */
+function parseHash(hash) {
+    let decoded;
+    try {
+        decoded = decodeURIComponent(hash.replace(/^#/, ''));
+    } catch (err) {
+        console.warn('[DeepLinks] Ignoring malformed hash:', hash);
+        return {};
+    }
+    const [root, ...rest] = decoded.split('/').filter(Boolean);
+    if (root === 'history') {
+        if (rest[0] === 'image') {
+            const n = parseInt(rest[1], 10);
+            return { history: true, image: Number.isInteger(n) && n > 0 ? n - 1 : 0 };
+        }
+        return { history: true, section: rest[0] || null };
+    }
+    if (root === 'part' && rest[0]) return { part: rest[0] };
+    return {};
+}
+
+/**
+ * Overlay depth of a hash: closed 0, history/part menu 1, lightbox 2
+ */
+function depthOf(hash) {
+    const state = parseHash(hash);
+    if (state.image != null) return 2;
+    return state.history || state.part ? 1 : 0;
+}
+
+/**
+ * Whether an overlay element is shown (the lightbox counts as closed once it starts closing)
+ */
+function isOpen(id) {
+    const el = document.getElementById(id);
+    return !!el && el.classList.contains('visible') && !el.classList.contains('closing');
+}
+
+/**
+ * Hash describing what is open right now
+ */
+function getUIHash() {
+    if (isOpen('porsche-history-overlay')) {
+        if (isOpen('wiki-image-lightbox') && lightboxIndex >= 0) return `#history/image/${lightboxIndex + 1}`;
+        const section = getCurrentSection();
+        return section ? `#history/${section}` : '#history';
+    }
+    if (isOpen('part-menu-overlay')) {
+        const getSelectedPart = getSceneUI('getSelectedPart');
+        const slug = getPartSlug(getSelectedPart ? getSelectedPart() : null);
+        return slug ? `#part/${slug}` : '';
+    }
+    return '';
+}
+
+/**
+ * URL without its hash (used when every overlay is closed)
+ */
+function baseUrl() {
+    return window.location.pathname + window.location.search;
+}
+
+/**
+ * Bring the URL in line with the open overlays
+ * Deeper state pushes an entry; shallower state pops our own entry (or replaces a foreign one)
+ */
+function sync() {
+    syncFrame = null;
+    if (suspended || pendingPop) return;
+
+    const hash = getUIHash();
+    const current = window.location.hash;
+    if (hash === current) return;
+
+    const entry = { [STATE_KEY]: true };
+    if (depthOf(hash) > depthOf(current)) {
+        history.pushState(entry, '', hash || baseUrl());
+    } else if (depthOf(hash) < depthOf(current) && history.state?.[STATE_KEY]) {
+        pendingPop = true;
+        history.back();
+    } else {
+        history.replaceState(history.state?.[STATE_KEY] ? entry : history.state, '', hash || baseUrl());
+    }
+}
+
+/**
+ * Sync on the next frame (several overlay changes often land together)
+ */
+function scheduleSync() {
+    if (!syncFrame) syncFrame = requestAnimationFrame(sync);
+}
+
+/**
+ * Open/close overlays to match a hash; the URL is left alone until they have settled
+ */
+function applyHash(hash) {
+    const state = parseHash(hash);
+    const ui = (name, ...args) => getSceneUI(name)?.(...args);
+
+    suspended = true;
+    if (state.image == null && isOpen('wiki-image-lightbox')) ui('closeLightbox');
+    if (!state.history && isOpen('porsche-history-overlay')) ui('hidePorscheHistory');
+    if (!state.part && isOpen('part-menu-overlay')) ui('hidePartMenu');
+
+    if (state.part) {
+        const mesh = findPart(state.part);
+        if (mesh) ui('selectPart', mesh);
+        else console.warn('[DeepLinks] Unknown part:', state.part);
+    }
+
+    if (state.history) {
+        const opening = !isOpen('porsche-history-overlay');
+        if (opening) ui('showPorscheHistory');
+        if (state.section) {
+            setTimeout(() => scrollToSection(state.section), opening ? SECTION_SCROLL_DELAY : 0);
+        }
+        if (state.image != null && (!isOpen('wiki-image-lightbox') || lightboxIndex !== state.image)) {
+            ui('showImageLightbox', null, state.image);
+        }
+    }
+
+    clearTimeout(settleTimer);
+    settleTimer = setTimeout(() => {
+        suspended = false;
+        // Anything that couldn't be opened (unknown part, out-of-range image) is dropped from the URL
+        const uiHash = getUIHash();
+        if (uiHash !== window.location.hash) {
+            history.replaceState(history.state, '', uiHash || baseUrl());
+        }
+    }, APPLY_SETTLE_MS);
+}
+
+/**
+ * Back/Forward: reopen or close overlays, unless this module popped the entry itself
+ */
+function handlePopState() {
+    if (pendingPop) {
+        pendingPop = false;
+        scheduleSync();
+        return;
+    }
+    applyHash(window.location.hash);
+}
+
+/**
+ * Initialize URL hash deep links
+ */
+export function initDeepLinks() {
+    const watched = ['porsche-history-overlay', 'part-menu-overlay', 'wiki-image-lightbox']
+        .map(id => document.getElementById(id))
+        .filter(Boolean);
+    const observer = new MutationObserver(scheduleSync);
+    watched.forEach(el => observer.observe(el, { attributes: true, attributeFilter: ['class'] }));
+
+    onSceneEvent('lightboxShow', ({ index }) => {
+        lightboxIndex = index;
+        scheduleSync();
+    });
+    onSceneEvent('partSelect', scheduleSync);
+
+    // Reading position updates the section in place (no history entry per scroll)
+    const content = document.getElementById('porsche-history-content');
+    if (content) content.addEventListener('scroll', scheduleSync, { passive: true });
+
+    window.addEventListener('popstate', handlePopState);
+
+    // A shared link opens its overlay once the intro is done (parts need the model)
+    const initial = window.location.hash;
+    if (depthOf(initial) > 0) {
+        suspended = true; // Keep the link until it has been applied
+        const ready = [whenSceneReady(), whenIntroComplete()];
+        if (parseHash(initial).part) ready.push(whenSceneObject('model'));
+        Promise.all(ready).then(() => applyHash(initial));
+    }
+    console.log('[DeepLinks] Initialized');
+}
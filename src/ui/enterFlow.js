@@ -0,0 +1,288 @@
+// Intro/Enter flow: the video overlay shown while assets preload, then the reveal of the 3D scene
+// An explicit state machine replaces the old keep-alive polling:
+//   loading -> ready      critical assets loaded; Enter is enabled
+//   loading -> error      a critical asset failed; Retry goes back to loading
+//   ready -> entering     Enter pressed: the overlay wipes away, the camera zooms in, the scene fades in
+//   entering -> revealed  scene faded in; canvas interactions and the UI are enabled
+// The 3D code leaves the overlay alone while the 'enterFlow' hook is registered (legacy mode reveals
+// the scene by itself as soon as the model has loaded)
+
+import { getSceneObject, registerSceneHook, whenSceneObject } from '../scene/bridge.js';
+import { getAssetStatus, subscribeAssets, retryFailedAssets } from '../scene/assets.js';
+
+const TRANSITIONS = {
+    loading: ['ready', 'error'],
+    error: ['loading', 'ready'],
+    ready: ['entering'],
+    entering: ['revealed'],
+    revealed: []
+};
+
+// Camera starts this much further out and zooms to its default position
+const INTRO_DISTANCE = 1.8;
+
+// Durations (s): overlay wipe, then camera zoom / scene fade / UI fade
+const WIPE_DURATION = 1.5;
+const REVEAL_DURATION = 3;
+
+// Camera presets and ?view= deep links wait for this (see views.js)
+const INTRO_EVENT = 'carholo:introcomplete';
+
+// UI faded in once the scene is revealed (the tooltip stays hidden until a part is hovered)
+const UI_ELEMENTS = ['music-player', 'book-button', 'rotate-button', 'info-button', 'fullscreen-button', 'part-container'];
+
+// Pointer events kept from reaching the scene while the overlay is up (its buttons still get them)
+const BLOCKED_EVENTS = [
+    'mousedown', 'mouseup', 'mousemove', 'mouseenter', 'mouseleave', 'click', 'dblclick',
+    'touchstart', 'touchmove', 'touchend', 'pointerdown', 'pointermove', 'pointerup', 'wheel', 'contextmenu'
+];
+
+let state = 'loading';
+let elements = null;
+const listeners = new Set();
+
+/**
+ * Current state: 'loading' | 'ready' | 'error' | 'entering' | 'revealed'
+ */
+export function getEnterState() {
+    return state;
+}
+
+/**
+ * Listen for state changes; returns an unsubscribe function
+ */
+export function subscribeEnterFlow(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+}
+
+function setState(next) {
+    if (!TRANSITIONS[state].includes(next)) {
+        console.warn('[EnterFlow] Ignoring transition', state, '->', next);
+        return false;
+    }
+    console.log('[EnterFlow]', state, '->', next);
+    state = next;
+    elements.overlay.dataset.state = next;
+    listeners.forEach(listener => listener(state));
+    return true;
+}
+
+/**
+ * Show asset progress and errors on the overlay and move between loading/ready/error
+ */
+function renderAssets(status) {
+    if (state === 'entering' || state === 'revealed') return;
+
+    if (status.ready && state !== 'ready') setState('ready');
+    else if (!status.ready && status.failed && state === 'loading') setState('error');
+
+    const percent = Math.round(status.progress * 100);
+    elements.fill.style.width = `${percent}%`;
+    elements.label.textContent = state === 'ready' ? 'READY' : state === 'error' ? 'LOADING FAILED' : `LOADING ${percent}%`;
+    elements.enter.disabled = state !== 'ready';
+
+    const failed = status.assets.filter(asset => asset.state === 'error');
+    elements.errors.innerHTML = '';
+    failed.forEach(asset => {
+        const item = document.createElement('li');
+        item.classList.toggle('critical', !!asset.critical);
+        item.textContent = `${asset.label}: ${asset.error}`;
+        elements.errors.appendChild(item);
+    });
+    elements.retry.hidden = failed.length === 0;
+}
+
+function retry() {
+    if (!retryFailedAssets()) return;
+    if (state === 'error') setState('loading');
+    renderAssets(getAssetStatus());
+}
+
+/**
+ * Keep pointer events on the overlay from reaching the 3D code's window listeners
+ */
+function blockEvent(e) {
+    if (e.target instanceof Element && e.target.closest('#loading-overlay button')) return;
+    e.stopPropagation();
+    e.stopImmediatePropagation();
+    e.preventDefault();
+}
+
+/**
+ * Hide the 3D logo until the UI fades in (it sits on the camera and would flash in first)
+ */
+function hideLogo(mesh) {
+    if (state !== 'entering' || !mesh.material) return;
+    mesh.material.opacity = 0;
+    mesh.material.transparent = true;
+    mesh.material.needsUpdate = true;
+}
+
+function fadeInLogo(mesh, gsap) {
+    if (!mesh.material) return;
+    mesh.material.transparent = true;
+    mesh.material.needsUpdate = true;
+    if (gsap) gsap.fromTo(mesh.material, { opacity: 0 }, { opacity: 1, duration: REVEAL_DURATION, ease: 'power2.inOut' });
+    else mesh.material.opacity = 1;
+}
+
+/**
+ * Fly the camera in from further out along its current direction
+ */
+function zoomCamera(gsap) {
+    const camera = getSceneObject('camera');
+    if (!camera) {
+        window.dispatchEvent(new CustomEvent(INTRO_EVENT));
+        return;
+    }
+    const target = camera.position.clone();
+    const start = target.clone().multiplyScalar(INTRO_DISTANCE);
+    camera.position.copy(start);
+    camera.updateProjectionMatrix();
+
+    const position = { x: start.x, y: start.y, z: start.z };
+    gsap.to(position, {
+        x: target.x,
+        y: target.y,
+        z: target.z,
+        duration: REVEAL_DURATION,
+        ease: 'power2.inOut',
+        onUpdate: () => {
+            camera.position.set(position.x, position.y, position.z);
+            camera.updateProjectionMatrix();
+        },
+        onComplete: () => window.dispatchEvent(new CustomEvent(INTRO_EVENT))
+    });
+}
+
+/**
+ * The scene is visible: enable canvas interactions and fade in the UI and logo
+ */
+function reveal(gsap) {
+    const container = elements.canvasContainer;
+    container.classList.add('loaded');
+    container.style.opacity = '';
+    document.querySelectorAll('canvas').forEach(canvas => canvas.classList.add('ready'));
+
+    UI_ELEMENTS.forEach(id => {
+        const element = document.getElementById(id);
+        if (!element) return;
+        if (!gsap) {
+            element.classList.add('faded-in');
+            return;
+        }
+        // GSAP drives the fade; the element's own transitions come back for hover effects afterwards
+        const transition = element.style.transition;
+        element.style.transition = 'none';
+        gsap.to(element, {
+            opacity: 1,
+            duration: REVEAL_DURATION,
+            ease: 'power2.inOut',
+            onComplete: () => {
+                element.style.transition = transition || '';
+                element.style.opacity = '';
+                element.classList.add('faded-in');
+            }
+        });
+    });
+    whenSceneObject('uiCog').then(mesh => fadeInLogo(mesh, gsap));
+
+    setState('revealed');
+}
+
+/**
+ * Remove the overlay once it has wiped away
+ */
+function removeOverlay() {
+    const { overlay, video } = elements;
+    if (video) {
+        // An empty src overrides the <source> and stops the download
+        video.pause();
+        video.src = '';
+    }
+    overlay.classList.add('hidden');
+    overlay.style.display = 'none';
+    BLOCKED_EVENTS.forEach(type => overlay.removeEventListener(type, blockEvent, true));
+}
+
+/**
+ * Start the experience; false unless the critical assets are ready
+ */
+export function enter() {
+    if (state !== 'ready' || !setState('entering')) return false;
+
+    document.getElementById('cursor-cross')?.classList.add('show');
+    document.querySelectorAll('.ui-fade').forEach(el => el.classList.add('visible'));
+    whenSceneObject('uiCog').then(hideLogo);
+
+    const gsap = window.gsap || window.GSAP;
+    const { overlay, canvasContainer } = elements;
+    if (!gsap) {
+        console.warn('[EnterFlow] GSAP not available, using a CSS transition');
+        overlay.style.transition = `clip-path ${WIPE_DURATION}s ease-in-out`;
+        overlay.style.clipPath = 'inset(100% 0% 0% 0%)';
+        setTimeout(() => {
+            removeOverlay();
+            reveal(null);
+            window.dispatchEvent(new CustomEvent(INTRO_EVENT));
+        }, WIPE_DURATION * 1000);
+        return true;
+    }
+
+    zoomCamera(gsap);
+
+    canvasContainer.style.opacity = '0';
+    gsap.to(canvasContainer, {
+        opacity: 1,
+        duration: REVEAL_DURATION,
+        ease: 'power2.inOut',
+        onComplete: () => reveal(gsap)
+    });
+
+    // Wipe the overlay away from the top
+    const wipe = { value: 0 };
+    gsap.to(wipe, {
+        value: 100,
+        duration: WIPE_DURATION,
+        ease: 'power2.inOut',
+        onUpdate: () => { overlay.style.clipPath = `inset(${wipe.value}% 0% 0% 0%)`; },
+        onComplete: removeOverlay
+    });
+    return true;
+}
+
+/**
+ * Take over the loading overlay and follow the asset preloader
+ */
+export function initEnterFlow() {
+    const overlay = document.getElementById('loading-overlay');
+    const enterButton = document.getElementById('enter-button');
+    const canvasContainer = document.getElementById('canvas-container');
+    const fill = document.getElementById('loading-progress-fill');
+    const label = document.getElementById('loading-progress-label');
+    const errors = document.getElementById('loading-errors');
+    const retryButton = document.getElementById('loading-retry');
+    if (!overlay || !enterButton || !canvasContainer || !fill || !label || !errors || !retryButton) return;
+    const video = document.getElementById('loading-video');
+    elements = { overlay, enter: enterButton, canvasContainer, fill, label, errors, retry: retryButton, video };
+
+    registerSceneHook('enterFlow', { getState: getEnterState, enter });
+    overlay.dataset.state = state;
+
+    BLOCKED_EVENTS.forEach(type => overlay.addEventListener(type, blockEvent, true));
+    enterButton.addEventListener('click', enter);
+    retryButton.addEventListener('click', retry);
+
+    // Keep the intro video running until the overlay goes (browsers pause background/offscreen video)
+    if (video) {
+        video.muted = true;
+        video.play().catch(err => console.log('[EnterFlow] Intro video autoplay blocked:', err));
+        video.addEventListener('pause', () => {
+            if (state !== 'entering' && state !== 'revealed' && !video.ended) video.play().catch(() => {});
+        });
+    }
+
+    subscribeAssets(renderAssets);
+    renderAssets(getAssetStatus());
+}
@@ -0,0 +1,114 @@
+// Media gallery model for the history article
+// Built from the media blocks in #porsche-history-content and their data- attributes, so new images
+// and videos only need markup:
+//   data-type        'image' | 'video' (default: from the element)
+//   data-src         inline source, loaded lazily (see lazyMedia.js)
+//   data-srcset      inline size variants ("file 640w, file 1280w"), picked by rendered width
+//   data-placeholder low-quality image shown until the inline source has loaded
+//   data-full        full-size source for the lightbox (default: the largest variant, then the inline source)
+//   data-poster      still image for a video (default: the video's poster attribute)
+//   data-caption     caption (default: the block's caption text)
+//   data-credit      attribution line
+//   data-alt         alt text (default: the element's alt, then the caption)
+//   data-no-lightbox "true" keeps the item out of the lightbox
+// Attributes can sit on the <img>/<video> or on its .porsche-history-image(-fullwidth) block
+
+// Article blocks that hold one gallery item each
+export const GALLERY_BLOCK_SELECTORS = ['.porsche-history-image', '.porsche-history-fullwidth-image'];
+const BLOCK_SELECTOR = GALLERY_BLOCK_SELECTORS.join(', ');
+const WRAPPER_SELECTOR = '.porsche-history-image-wrapper, .porsche-history-fullwidth-image';
+const CAPTION_SELECTOR = '.porsche-history-image-caption, .porsche-history-fullwidth-image-caption';
+
+/**
+ * @typedef {Object} GalleryItem
+ * @property {HTMLImageElement|HTMLVideoElement} element - Inline media element in the article
+ * @property {'image'|'video'} type
+ * @property {string} src - Absolute URL of the full-size source
+ * @property {string} thumb - Absolute URL of the smallest variant (for thumbnails)
+ * @property {string} poster - Absolute URL of a video's still image ('' if none)
+ * @property {string} caption
+ * @property {string} credit
+ * @property {string} alt
+ * @property {boolean} lightbox - Whether the item opens in the lightbox
+ */
+
+/**
+ * Read a data- attribute from the media element, falling back to its block
+ */
+function readData(media, block, key) {
+    return media.dataset[key] ?? block.dataset[key] ?? '';
+}
+
+/**
+ * Resolve a possibly relative URL against the page
+ */
+function absolute(url) {
+    if (!url) return '';
+    try {
+        return new URL(url, document.baseURI).href;
+    } catch (err) {
+        return url;
+    }
+}
+
+/**
+ * Candidates of a srcset string ordered by width: [{ url, width }]
+ * Density descriptors (2x) and bare URLs sort by their factor
+ */
+export function parseSrcset(srcset) {
+    return String(srcset || '').split(',')
+        .map(candidate => candidate.trim().split(/\s+/))
+        .filter(([url]) => url)
+        .map(([url, descriptor = '1x']) => ({ url, width: parseFloat(descriptor) || 1 }))
+        .sort((a, b) => a.width - b.width);
+}
+
+/**
+ * Build the gallery item for one media block (null if it has no media)
+ * @returns {GalleryItem|null}
+ */
+function createItem(block) {
+    // A block shows either a video or an image; the video wins if both are present
+    const media = block.querySelector('video') || block.querySelector('img');
+    if (!media) return null;
+
+    const type = readData(media, block, 'type') || (media.tagName === 'VIDEO' ? 'video' : 'image');
+    const wrapper = block.closest(WRAPPER_SELECTOR) || block;
+    const variants = parseSrcset(media.dataset.srcset || media.getAttribute('srcset'));
+    const inline = media.dataset.src || media.currentSrc || media.getAttribute('src');
+    const caption = readData(media, block, 'caption')
+        || wrapper.querySelector(CAPTION_SELECTOR)?.textContent.trim()
+        || '';
+
+    return {
+        element: media,
+        type: type === 'video' ? 'video' : 'image',
+        src: absolute(readData(media, block, 'full') || variants[variants.length - 1]?.url || inline),
+        thumb: absolute(variants[0]?.url || inline),
+        poster: absolute(readData(media, block, 'poster') || media.getAttribute('poster')),
+        caption,
+        credit: readData(media, block, 'credit'),
+        alt: readData(media, block, 'alt') || media.getAttribute('alt') || caption,
+        lightbox: readData(media, block, 'noLightbox') !== 'true'
+    };
+}
+
+/**
+ * All media items in the article, in document order
+ * @returns {GalleryItem[]}
+ */
+export function buildGallery(root = document.getElementById('porsche-history-content')) {
+    if (!root) return [];
+    return Array.from(root.querySelectorAll(BLOCK_SELECTOR))
+        .map(createItem)
+        .filter(item => item && item.src);
+}
+
+/**
+ * The item an element belongs to (the media itself or anything inside its block), or null
+ */
+export function findGalleryItem(items, element) {
+    if (!element) return null;
+    const block = element.closest?.(BLOCK_SELECTOR);
+    return items.find(item => item.element === element || (block && block.contains(item.element))) || null;
+}
@@ -0,0 +1,303 @@
+// Gamepad remap overlay: "press the button for X" wizard, fully drivable from the pad itself
+// Calibrates the pad's axes first, then walks through every named action, captures the next
+// input and saves the profile and calibration per controller id once every step is done
+
+import {
+    ACTIONS,
+    STICK_ACTIONS,
+    ACTION_LABELS,
+    getProfile,
+    saveProfile,
+    invalidateProfile,
+    describeBinding
+} from '../input/bindings.js';
+import { captureResting, sampleRange, saveCalibration, discardCalibration } from '../input/calibration.js';
+
+const CAPTURE_THRESHOLD = 0.6;   // Axis deflection / trigger travel needed to register
+const RELEASE_THRESHOLD = 0.25;  // Everything must return below this before the next step
+const SKIP_TIMEOUT = 6000;       // ms without input keeps the current binding and moves on
+const CLOSE_DELAY = 1500;        // ms the summary stays up after saving
+const REST_DURATION = 1000;      // ms the pad must stay untouched while resting values are captured
+const REST_EPSILON = 0.02;       // Axis change between frames that counts as the pad being touched
+const RANGE_DURATION = 3000;     // ms to sweep sticks and triggers through their full travel
+
+let remapOpen = false;
+let remapFrameId = null;
+let closeTimer = null;
+let state = null;
+
+/**
+ * Whether the remap overlay currently owns gamepad input
+ */
+export function isRemapOpen() {
+    return remapOpen;
+}
+
+/**
+ * Resting pose captures compare against: buttons up, axes at their calibrated rest
+ */
+function restingPose(gamepad, calibration) {
+    return {
+        buttons: gamepad.buttons.map(() => 0),
+        axes: calibration.axes.map(axis => axis.rest)
+    };
+}
+
+/**
+ * Check whether every input is back near its resting pose
+ */
+function isReleased(gamepad, baseline) {
+    const buttonsReleased = gamepad.buttons.every((b, i) => {
+        const value = b.value || (b.pressed ? 1 : 0);
+        return value - (baseline.buttons[i] || 0) < RELEASE_THRESHOLD;
+    });
+    const axesReleased = Array.from(gamepad.axes).every((v, i) => {
+        return Math.abs(v - (baseline.axes[i] || 0)) < RELEASE_THRESHOLD;
+    });
+    return buttonsReleased && axesReleased;
+}
+
+/**
+ * Detect the strongest new input compared to the baseline, for the given action kind
+ * Sticks are captured one axis at a time (an axis index, skipping `exclude`), since pads don't
+ * always report a stick as a consecutive axis pair (e.g. right stick on 2/5, triggers on 3/4)
+ */
+function detectInput(gamepad, baseline, isStick, exclude = null) {
+    let best = null;
+
+    if (!isStick) {
+        gamepad.buttons.forEach((b, i) => {
+            const value = b.value || (b.pressed ? 1 : 0);
+            const delta = value - (baseline.buttons[i] || 0);
+            if (delta > CAPTURE_THRESHOLD && (!best || delta > best.strength)) {
+                best = { strength: delta, binding: [{ type: 'button', index: i }] };
+            }
+        });
+    }
+
+    Array.from(gamepad.axes).forEach((v, i) => {
+        const rest = baseline.axes[i] || 0;
+        const delta = v - rest;
+        const strength = Math.abs(delta);
+        if (isStick && i === exclude) return;
+        if (strength <= CAPTURE_THRESHOLD || (best && strength <= best.strength)) return;
+
+        if (isStick) {
+            best = { strength, binding: i };
+        } else {
+            const direction = delta > 0 ? 1 : -1;
+            best = {
+                strength,
+                binding: [{ type: 'axis', index: i, direction, rest: Math.round(rest * 100) / 100 }]
+            };
+        }
+    });
+
+    return best ? best.binding : null;
+}
+
+/**
+ * Render the action list and current prompt
+ */
+function render() {
+    const list = document.getElementById('gamepad-remap-list');
+    const prompt = document.getElementById('gamepad-remap-prompt');
+    const subtitle = document.getElementById('gamepad-remap-device');
+    if (!list || !prompt || !state) return;
+
+    if (subtitle) subtitle.textContent = state.profile.id;
+
+    list.innerHTML = '';
+    ACTIONS.forEach((action, i) => {
+        const row = document.createElement('div');
+        row.className = 'gamepad-remap-row';
+        if (state.phase === 'bind' && i === state.step) row.classList.add('active');
+        if (i < state.step) row.classList.add('done');
+        row.innerHTML = `
+            <span class="gamepad-remap-action">${ACTION_LABELS[action]}</span>
+            <span class="gamepad-remap-binding">${describeBinding(state.profile.bindings[action])}</span>
+        `;
+        list.appendChild(row);
+    });
+
+    if (state.phase === 'release') {
+        prompt.textContent = 'Release all buttons…';
+        return;
+    }
+    if (state.phase === 'rest') {
+        prompt.textContent = 'Calibrating — leave the controller untouched';
+        return;
+    }
+    if (state.phase === 'range') {
+        prompt.textContent = 'Move both sticks in full circles and squeeze both triggers';
+        return;
+    }
+    if (state.step >= ACTIONS.length) {
+        prompt.textContent = 'Bindings saved';
+        return;
+    }
+
+    const action = ACTIONS[state.step];
+    let verb = 'Press the button';
+    if (STICK_ACTIONS.includes(action)) {
+        verb = state.stickX === null ? 'Push the stick right' : 'Push the stick down';
+    }
+    prompt.textContent = state.waitingForRelease
+        ? 'Release all buttons…'
+        : `${verb} for ${ACTION_LABELS[action]}`;
+}
+
+/**
+ * Advance to the next action (or finish)
+ */
+function nextStep() {
+    state.step++;
+    state.stickX = null;
+    state.waitingForRelease = true;
+    state.stepStartedAt = performance.now();
+
+    if (state.step >= ACTIONS.length) {
+        saveCalibration();
+        saveProfile(state.profile);
+        console.log('[Gamepad] Bindings saved for', state.profile.id);
+        render();
+        closeTimer = setTimeout(closeRemapOverlay, CLOSE_DELAY);
+        return;
+    }
+    render();
+}
+
+/**
+ * Move the wizard to another phase and restart its timer
+ */
+function enterPhase(phase) {
+    state.phase = phase;
+    state.stepStartedAt = performance.now();
+    render();
+}
+
+/**
+ * Poll loop while the overlay is open
+ */
+function updateRemap() {
+    if (!remapOpen || !state) return;
+
+    const gamepad = navigator.getGamepads()[state.gamepadIndex];
+    if (!gamepad) {
+        closeRemapOverlay();
+        return;
+    }
+
+    const elapsed = performance.now() - state.stepStartedAt;
+
+    if (state.phase === 'release') {
+        if (!gamepad.buttons.some(b => b.pressed)) {
+            enterPhase('rest');
+        }
+    } else if (state.phase === 'rest') {
+        // Any movement restarts the wait, so a stick or trigger still being let go isn't taken as rest
+        const axes = Array.from(gamepad.axes);
+        const moved = state.lastAxes && axes.some((v, i) => Math.abs(v - (state.lastAxes[i] || 0)) > REST_EPSILON);
+        state.lastAxes = axes;
+        if (moved || gamepad.buttons.some(b => b.pressed)) {
+            state.stepStartedAt = performance.now();
+        } else if (elapsed > REST_DURATION) {
+            state.calibration = captureResting(gamepad);
+            enterPhase('range');
+        }
+    } else if (state.phase === 'range') {
+        sampleRange(gamepad);
+        if (elapsed > RANGE_DURATION) {
+            invalidateProfile(gamepad.id);
+            // Re-resolve defaults now that trigger axes are known; stored overrides still apply
+            state.profile = getProfile(gamepad);
+            state.baseline = restingPose(gamepad, state.calibration);
+            state.waitingForRelease = true;
+            enterPhase('bind');
+        }
+    } else if (state.step < ACTIONS.length) {
+        if (state.waitingForRelease) {
+            if (isReleased(gamepad, state.baseline)) {
+                state.waitingForRelease = false;
+                state.stepStartedAt = performance.now();
+                render();
+            }
+        } else {
+            const action = ACTIONS[state.step];
+            const isStick = STICK_ACTIONS.includes(action);
+            const input = detectInput(gamepad, state.baseline, isStick, state.stickX);
+            if (input !== null && isStick && state.stickX === null) {
+                // Horizontal axis captured; release, then ask for the vertical one
+                state.stickX = input;
+                state.waitingForRelease = true;
+                state.stepStartedAt = performance.now();
+                render();
+            } else if (input !== null) {
+                state.profile.bindings[action] = isStick ? { type: 'stick', x: state.stickX, y: input } : input;
+                nextStep();
+            } else if (elapsed > SKIP_TIMEOUT) {
+                // No input: keep the existing binding
+                nextStep();
+            }
+        }
+    }
+
+    remapFrameId = requestAnimationFrame(updateRemap);
+}
+
+/**
+ * Open the remap overlay for the gamepad at the given index
+ */
+export function openRemapOverlay(gamepadIndex) {
+    const overlay = document.getElementById('gamepad-remap-overlay');
+    const gamepad = navigator.getGamepads ? navigator.getGamepads()[gamepadIndex] : null;
+    if (!overlay || !gamepad || remapOpen) return;
+
+    clearTimeout(closeTimer);
+    closeTimer = null;
+    remapOpen = true;
+    state = {
+        gamepadIndex,
+        profile: getProfile(gamepad),
+        calibration: null,
+        lastAxes: null, // Axes on the previous frame of the rest phase
+        baseline: null,
+        phase: 'release', // The combo that opened the overlay is still held
+        step: 0,
+        stickX: null, // Stick actions: horizontal axis captured, waiting for the vertical one
+        waitingForRelease: true,
+        stepStartedAt: performance.now()
+    };
+
+    overlay.classList.add('visible');
+    document.body.classList.add('menu-open');
+
+    render();
+    remapFrameId = requestAnimationFrame(updateRemap);
+    console.log('[Gamepad] Remap started for', gamepad.id);
+}
+
+/**
+ * Close the remap overlay (unsaved steps and calibration are discarded)
+ * Escape and the close button reach this through the 'back' action
+ */
+export function closeRemapOverlay() {
+    clearTimeout(closeTimer);
+    closeTimer = null;
+    if (!remapOpen) return;
+    if (state.calibration && state.step < ACTIONS.length) {
+        discardCalibration();
+        invalidateProfile(state.profile.id);
+    }
+    remapOpen = false;
+    state = null;
+
+    if (remapFrameId) {
+        cancelAnimationFrame(remapFrameId);
+        remapFrameId = null;
+    }
+
+    const overlay = document.getElementById('gamepad-remap-overlay');
+    if (overlay) overlay.classList.remove('visible');
+    document.body.classList.remove('menu-open');
+}
@@ -0,0 +1,70 @@
+// Keyboard help overlay: lists the keyboard bindings (toggled with ?)
+
+import { KEYBOARD_HELP } from '../input/keyboard.js';
+
+let helpOpen = false;
+
+/**
+ * Whether the help overlay is showing
+ */
+export function isKeyboardHelpOpen() {
+    return helpOpen;
+}
+
+/**
+ * Render the binding rows
+ */
+function render() {
+    const list = document.getElementById('keyboard-help-list');
+    if (!list) return;
+
+    list.innerHTML = '';
+    KEYBOARD_HELP.forEach(({ keys, label }) => {
+        const row = document.createElement('div');
+        row.className = 'keyboard-help-row';
+        row.innerHTML = `
+            <span class="keyboard-help-keys">${keys}</span>
+            <span class="keyboard-help-label">${label}</span>
+        `;
+        list.appendChild(row);
+    });
+}
+
+/**
+ * Show the help overlay
+ */
+export function openKeyboardHelp() {
+    const overlay = document.getElementById('keyboard-help-overlay');
+    if (!overlay || helpOpen) return;
+
+    helpOpen = true;
+    render();
+    overlay.classList.add('visible');
+
+    overlay.onclick = (e) => {
+        // Keep clicks from reaching the scene's part picking underneath
+        e.stopPropagation();
+        if (e.target.id === 'keyboard-help-backdrop' || e.target.id === 'keyboard-help-close') {
+            closeKeyboardHelp();
+        }
+    };
+}
+
+/**
+ * Hide the help overlay
+ */
+export function closeKeyboardHelp() {
+    if (!helpOpen) return;
+    helpOpen = false;
+
+    const overlay = document.getElementById('keyboard-help-overlay');
+    if (overlay) overlay.classList.remove('visible');
+}
+
+/**
+ * Toggle the help overlay
+ */
+export function toggleKeyboardHelp() {
+    if (helpOpen) closeKeyboardHelp();
+    else openKeyboardHelp();
+}
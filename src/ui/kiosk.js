@@ -0,0 +1,361 @@
+// Kiosk/attract mode for showroom screens (?kiosk=1)
+// Enters the experience by itself a while after the assets are ready, and after a spell without input
+// plays a scripted tour in a loop: auto-rotate, camera views, part highlights with their tooltips and
+// a look at the history article. Any mouse, touch, key or gamepad input stops the tour, closes its
+// overlays and hands the scene back; the input that wakes it does nothing else
+//
+// Tour script (content/tour.json):
+//   { enterTimeout, idleTimeout, prompt, loop, steps: [{ type, duration, ... }] }   (times in seconds)
+// Step types:
+//   rotate    auto-rotate the car
+//   view      fly to a camera view ({ view }: a name from views.js)
+//   part      hover a part to show its tooltip ({ part }: a part catalog id, or a mesh name slug)
+//   history   open the history article ({ section }: optional heading id to scroll to), closed after
+//   wait      hold
+
+import { Raycaster, Vector2, Vector3 } from 'three';
+import { getSceneObject, getSceneUI } from '../scene/bridge.js';
+import { getParts, findPart } from '../scene/parts.js';
+import { flyToView, isIntroComplete } from '../scene/views.js';
+import {
+    isTurntableEnabled,
+    setTurntableEnabled,
+    pauseTurntable,
+    resumeTurntable
+} from '../scene/turntable.js';
+import { subscribeGamepadActivity } from '../input/gamepad.js';
+import { getEnterState, subscribeEnterFlow, enter } from './enterFlow.js';
+import { getPartCatalog, resolvePart } from './partCatalog.js';
+import { scrollToSection } from './articleNav.js';
+import { isKeyboardHelpOpen, closeKeyboardHelp } from './keyboardHelp.js';
+
+const DEFAULT_TOUR_URL = new URL('../../content/tour.json', import.meta.url);
+
+// Used where the script leaves them out (s)
+const DEFAULT_ENTER_TIMEOUT = 8;
+const DEFAULT_IDLE_TIMEOUT = 45;
+const DEFAULT_STEP_DURATION = 4;
+
+// How often idleness is checked (ms)
+const IDLE_CHECK_INTERVAL = 1000;
+
+// Delay before scrolling a freshly opened article to a section (lets the open animation start)
+const SECTION_SCROLL_DELAY = 350;
+
+// Input that stops the tour; moves only wake it, presses are also swallowed
+const WAKE_EVENTS = ['pointermove', 'pointerdown', 'mousedown', 'touchstart', 'keydown', 'wheel'];
+const MOVE_EVENTS = ['pointermove'];
+
+// The rest of a swallowed press (its release and click, more presses) is swallowed too, for this long (ms)
+const FOLLOW_UP_EVENTS = ['pointerup', 'mouseup', 'touchend', 'click', 'keyup', 'contextmenu'];
+const FOLLOW_UP_WINDOW = 800;
+
+// Overlays closed when the tour starts and stops, with the UI function that closes each
+const OVERLAY_CLOSERS = [
+    { id: 'wiki-image-lightbox', close: 'closeLightbox' },
+    { id: 'out-of-funds-overlay', close: 'hideOutOfFundsPopup' },
+    { id: 'porsche-history-overlay', close: 'hidePorscheHistory' },
+    { id: 'part-menu-overlay', close: 'hidePartMenu' }
+];
+
+let tour = null;
+let touring = false;
+let run = 0; // bumped to abandon the running tour
+let stepTimer = null;
+let waits = 0; // timed waits so far (a pass without any means no step could play)
+let lastInputAt = 0;
+let swallowUntil = 0;
+let turntableWasEnabled = true;
+let prompt = null;
+const raycaster = new Raycaster();
+
+/**
+ * Whether the page was opened in kiosk mode
+ */
+export function isKioskMode() {
+    return new URLSearchParams(window.location.search).get('kiosk') === '1';
+}
+
+/**
+ * Whether the attract tour is playing
+ */
+export function isTourPlaying() {
+    return touring;
+}
+
+function seconds(value, fallback) {
+    return (Number.isFinite(value) && value >= 0 ? value : fallback) * 1000;
+}
+
+/**
+ * Resolves after `ms`; never resolves if the tour is stopped first
+ */
+function wait(ms) {
+    waits++;
+    return new Promise(resolve => {
+        stepTimer = setTimeout(resolve, ms);
+    });
+}
+
+/**
+ * Close every overlay (the tour's history article, or whatever a visitor left open)
+ */
+function resetOverlays() {
+    if (isKeyboardHelpOpen()) closeKeyboardHelp();
+    OVERLAY_CLOSERS.forEach(({ id, close }) => {
+        const overlay = document.getElementById(id);
+        const fn = getSceneUI(close);
+        if (fn && overlay?.classList.contains('visible')) fn();
+    });
+}
+
+/**
+ * Screen point where a mesh is in front (its center, else halfway to a bounding box corner)
+ * so the hover pick lands on it; null when it is hidden behind other parts or off screen
+ */
+function screenPointOf(mesh) {
+    const camera = getSceneObject('camera');
+    const model = getSceneObject('model');
+    if (!camera || !model) return null;
+
+    const geometry = mesh.geometry;
+    if (!geometry.boundingBox) geometry.computeBoundingBox();
+    const { min, max } = geometry.boundingBox;
+    const center = min.clone().add(max).multiplyScalar(0.5);
+    const samples = [center];
+    [min.x, max.x].forEach(x => [min.y, max.y].forEach(y => [min.z, max.z].forEach(z => {
+        samples.push(new Vector3(x, y, z).lerp(center, 0.5));
+    })));
+
+    const selectable = new Set(getParts());
+    for (const sample of samples) {
+        const point = mesh.localToWorld(sample.clone()).project(camera);
+        if (Math.abs(point.x) > 0.95 || Math.abs(point.y) > 0.95 || point.z > 1) continue;
+        raycaster.setFromCamera(new Vector2(point.x, point.y), camera);
+        const hit = raycaster.intersectObject(model, true).find(candidate => selectable.has(candidate.object));
+        if (hit?.object !== mesh) continue;
+        // Same mapping as the 3D code's pointer handling (window-sized canvas)
+        return {
+            x: (point.x + 1) / 2 * window.innerWidth,
+            y: (1 - point.y) / 2 * window.innerHeight
+        };
+    }
+    return null;
+}
+
+/**
+ * Meshes for a tour part: every part the catalog resolves to the id, else a mesh name slug match
+ */
+function findTourParts(id) {
+    const parts = getPartCatalog() ? getParts().filter(mesh => resolvePart(mesh).id === id) : [];
+    if (parts.length) return parts;
+    const mesh = findPart(id);
+    return mesh ? [mesh] : [];
+}
+
+/**
+ * Hover a part so the 3D code shows its highlight and tooltip; false when no part is in view
+ */
+function highlightPart(id) {
+    const hoverAt = getSceneUI('hoverAt');
+    if (!hoverAt) return false;
+    for (const mesh of findTourParts(id)) {
+        const point = screenPointOf(mesh);
+        if (point) {
+            hoverAt(point.x, point.y);
+            return true;
+        }
+    }
+    console.warn('[Kiosk] Tour part not in view:', id);
+    return false;
+}
+
+/**
+ * Drop the hover highlight (a pick outside the window hits nothing)
+ */
+function clearHighlight() {
+    const hoverAt = getSceneUI('hoverAt');
+    if (hoverAt) hoverAt(-1, -1);
+}
+
+/**
+ * Play one step; resolves when its duration is up
+ */
+async function playStep(step) {
+    const duration = seconds(step.duration, DEFAULT_STEP_DURATION);
+    switch (step.type) {
+        case 'rotate':
+            setTurntableEnabled(true);
+            await wait(duration);
+            return;
+        case 'view':
+            if (!flyToView(step.view)) console.warn('[Kiosk] Could not fly to view:', step.view);
+            await wait(duration);
+            return;
+        case 'part':
+            // Hold the car still so the tooltip stays on its part
+            pauseTurntable('kiosk');
+            if (!highlightPart(step.part)) {
+                resumeTurntable('kiosk');
+                return;
+            }
+            await wait(duration);
+            clearHighlight();
+            resumeTurntable('kiosk');
+            return;
+        case 'history': {
+            const show = getSceneUI('showPorscheHistory');
+            if (!show) return;
+            show();
+            if (step.section) {
+                await wait(SECTION_SCROLL_DELAY);
+                scrollToSection(step.section);
+            }
+            await wait(duration);
+            getSceneUI('hidePorscheHistory')?.();
+            return;
+        }
+        case 'wait':
+            await wait(duration);
+            return;
+        default:
+            console.warn('[Kiosk] Unknown tour step:', step.type);
+    }
+}
+
+/**
+ * Start the attract tour from its first step; false when it is already playing or not loaded
+ */
+export async function startTour() {
+    if (touring || !tour?.steps.length) return false;
+    touring = true;
+    const id = ++run;
+    turntableWasEnabled = isTurntableEnabled();
+    resetOverlays();
+    document.body.classList.add('kiosk-touring');
+    if (prompt) prompt.hidden = false;
+    console.log('[Kiosk] Tour started');
+
+    do {
+        const waitsBefore = waits;
+        for (const step of tour.steps) {
+            await playStep(step);
+            if (id !== run) return true;
+        }
+        if (waits === waitsBefore) {
+            console.warn('[Kiosk] No tour step could play');
+            break;
+        }
+    } while (tour.loop !== false);
+    stopTour();
+    return true;
+}
+
+/**
+ * Stop the tour and hand the scene back: overlays closed, hover cleared, auto-rotate as it was
+ */
+export function stopTour() {
+    if (!touring) return false;
+    touring = false;
+    run++;
+    clearTimeout(stepTimer);
+    document.body.classList.remove('kiosk-touring');
+    if (prompt) prompt.hidden = true;
+    clearHighlight();
+    resumeTurntable('kiosk');
+    setTurntableEnabled(turntableWasEnabled);
+    resetOverlays();
+    console.log('[Kiosk] Tour stopped');
+    return true;
+}
+
+/**
+ * Keep a press that woke the tour (and its release/click) from reaching the page
+ */
+function swallow(e) {
+    e.stopImmediatePropagation();
+    if (e.cancelable) e.preventDefault();
+}
+
+function onInput(e) {
+    const now = performance.now();
+    lastInputAt = now;
+    const move = MOVE_EVENTS.includes(e.type);
+    if (touring) {
+        stopTour();
+        if (!move) swallowUntil = now + FOLLOW_UP_WINDOW;
+    }
+    // pointerdown wakes the tour; the mousedown/touchstart of the same press follow it
+    if (!move && now < swallowUntil) swallow(e);
+}
+
+function onFollowUp(e) {
+    if (performance.now() < swallowUntil) swallow(e);
+}
+
+/**
+ * Gamepad input from the polling loop; consumed while it stops the tour
+ */
+function onGamepadInput() {
+    lastInputAt = performance.now();
+    return stopTour();
+}
+
+/**
+ * Start the tour once the scene has been left alone for the idle timeout
+ */
+function checkIdle() {
+    if (touring || document.hidden || getEnterState() !== 'revealed' || !isIntroComplete()) return;
+    if (performance.now() - lastInputAt >= seconds(tour.idleTimeout, DEFAULT_IDLE_TIMEOUT)) startTour();
+}
+
+/**
+ * Press Enter for the visitor once the Enter gate has been open for the enter timeout
+ */
+function scheduleEnter() {
+    setTimeout(() => {
+        if (getEnterState() === 'ready') enter();
+    }, seconds(tour.enterTimeout, DEFAULT_ENTER_TIMEOUT));
+}
+
+/**
+ * Fetch a tour script
+ */
+export async function loadTour(url = DEFAULT_TOUR_URL) {
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`HTTP ${response.status} for ${url}`);
+    const doc = await response.json();
+    if (!Array.isArray(doc.steps)) throw new Error(`No steps in ${url}`);
+    return doc;
+}
+
+/**
+ * Turn on kiosk mode when the URL asks for it
+ */
+export async function initKiosk(url = DEFAULT_TOUR_URL) {
+    if (!isKioskMode()) return;
+    // Registered right away, ahead of keyboard.js, which consumes the keys it handles
+    WAKE_EVENTS.forEach(type => window.addEventListener(type, onInput, { capture: true, passive: false }));
+    FOLLOW_UP_EVENTS.forEach(type => window.addEventListener(type, onFollowUp, { capture: true, passive: false }));
+
+    try {
+        tour = await loadTour(url);
+    } catch (err) {
+        console.warn('[Kiosk] Failed to load tour:', err);
+        return;
+    }
+
+    prompt = document.getElementById('kiosk-prompt');
+    if (prompt && tour.prompt) prompt.textContent = tour.prompt;
+    document.body.classList.add('kiosk');
+
+    subscribeGamepadActivity(onGamepadInput);
+
+    if (getEnterState() === 'ready') scheduleEnter();
+    subscribeEnterFlow(state => {
+        if (state === 'ready') scheduleEnter();
+        if (state === 'revealed') lastInputAt = performance.now();
+    });
+    setInterval(checkIdle, IDLE_CHECK_INTERVAL);
+    console.log('[Kiosk] Kiosk mode on:', tour.steps.length, 'tour steps');
+}
@@ -0,0 +1,141 @@
+// Lazy loading for the history article's media, and neighbour preloading for the lightbox
+// main.js renders article media with data-src (and optional data-srcset/data-placeholder, see
+// gallery.js) and hands the article to the 'media' scene hook. Media loads as it scrolls near the
+// reading area: images fade from their placeholder to full quality, videos start playing in view
+// and pause out of view
+
+import { onSceneEvent, registerSceneHook } from '../scene/bridge.js';
+
+// How far ahead of the reading area media starts loading
+const LOAD_MARGIN = '600px 0px';
+
+// Preloaded lightbox neighbours kept referenced (so they aren't dropped before they load)
+const PRELOAD_LIMIT = 6;
+
+let loadObserver = null;
+let playbackObserver = null;
+const preloaded = new Map(); // url -> Image
+
+/**
+ * Swap an image from its placeholder to the real source once that has loaded
+ * `sizes` follows the rendered width, so the browser picks the matching data-srcset variant
+ */
+function loadImage(img) {
+    const { src, srcset } = img.dataset;
+    const sizes = `${Math.ceil(img.getBoundingClientRect().width) || img.parentElement?.clientWidth || 800}px`;
+
+    const loader = new Image();
+    loader.decoding = 'async';
+    if (srcset) {
+        loader.sizes = sizes;
+        loader.srcset = srcset;
+    }
+    loader.src = src;
+
+    const reveal = () => {
+        if (srcset) {
+            img.sizes = sizes;
+            img.srcset = srcset;
+        }
+        img.src = src;
+        img.classList.remove('lazy-pending');
+        img.classList.add('lazy-loaded');
+    };
+    // Decode off the main thread where supported; a failed load still swaps so the error shows
+    (loader.decode ? loader.decode() : Promise.resolve()).then(reveal, reveal);
+}
+
+/**
+ * Point a video at its source; playback follows visibility
+ */
+function loadVideo(video) {
+    video.preload = 'auto';
+    video.src = video.dataset.src;
+    video.classList.remove('lazy-pending');
+    video.classList.add('lazy-loaded');
+    playbackObserver.observe(video);
+}
+
+/**
+ * Start loading media that scrolled near the reading area
+ */
+function handleIntersections(entries) {
+    entries.forEach(entry => {
+        if (!entry.isIntersecting) return;
+        const media = entry.target;
+        loadObserver.unobserve(media);
+        if (media.tagName === 'VIDEO') loadVideo(media);
+        else loadImage(media);
+    });
+}
+
+/**
+ * Play looping article videos only while they are visible
+ */
+function handlePlayback(entries) {
+    entries.forEach(({ target, isIntersecting }) => {
+        if (isIntersecting) {
+            const playing = target.play();
+            if (playing) playing.catch(() => {}); // Autoplay blocked - the video stays on its first frame
+        } else {
+            target.pause();
+        }
+    });
+}
+
+/**
+ * Lazy-load the media inside freshly rendered article content
+ * Re-rendering the article replaces the previous observation
+ */
+function observe(root) {
+    loadObserver?.disconnect();
+    playbackObserver?.disconnect();
+    loadObserver = new IntersectionObserver(handleIntersections, { root, rootMargin: LOAD_MARGIN });
+    playbackObserver = new IntersectionObserver(handlePlayback, { root });
+
+    root.querySelectorAll('img[data-src], video[data-src]').forEach(media => {
+        media.classList.add('lazy-pending');
+        if (media.dataset.placeholder) {
+            if (media.tagName === 'VIDEO') media.poster = media.dataset.placeholder;
+            else media.src = media.dataset.placeholder;
+        }
+        loadObserver.observe(media);
+    });
+}
+
+/**
+ * Fetch an image ahead of time (no-op if it is already cached here)
+ */
+function preload(url) {
+    if (!url || preloaded.has(url)) return;
+    const img = new Image();
+    img.decoding = 'async';
+    img.src = url;
+    preloaded.set(url, img);
+    // Maps keep insertion order: drop the oldest
+    if (preloaded.size > PRELOAD_LIMIT) preloaded.delete(preloaded.keys().next().value);
+}
+
+/**
+ * Preload the lightbox items either side of the current one, so prev/next show instantly
+ */
+function preloadNeighbours({ index, items }) {
+    if (!items || items.length < 2) return;
+    [index - 1, index + 1].forEach(i => {
+        const item = items[(i + items.length) % items.length];
+        preload(item.type === 'video' ? item.poster : item.src);
+    });
+}
+
+/**
+ * Initialize lazy media loading for the article and lightbox preloading
+ */
+export function initLazyMedia() {
+    if (!('IntersectionObserver' in window)) {
+        console.warn('[LazyMedia] IntersectionObserver not supported; media loads eagerly');
+        return;
+    }
+    registerSceneHook('media', { observe });
+    onSceneEvent('lightboxShow', preloadNeighbours);
+    console.log('[LazyMedia] Initialized');
+}
@@ -0,0 +1,105 @@
+// Lightbox info: credit line, "n / total" counter and a thumbnail filmstrip
+// main.js fills the caption and reports each item it shows (the 'lightboxShow' scene event); the
+// filmstrip lists every item of the current gallery and jumps through the 'lightboxGoTo' action
+
+import { onSceneEvent } from '../scene/bridge.js';
+import { dispatch } from '../input/actions.js';
+
+let elements = null;
+let stripKey = '';
+
+/**
+ * Thumbnail for one gallery item: the image itself, or a video's poster (first frame if it has none)
+ */
+function createThumb(item, index) {
+    const thumb = document.createElement('button');
+    thumb.type = 'button';
+    thumb.className = 'wiki-lightbox-thumb';
+    thumb.dataset.index = index;
+    thumb.title = item.caption || item.alt;
+    thumb.setAttribute('aria-label', `${index + 1}: ${item.caption || item.alt || item.type}`);
+
+    let media;
+    if (item.type === 'video' && !item.poster) {
+        media = document.createElement('video');
+        media.src = item.src;
+        media.muted = true;
+        media.preload = 'metadata';
+        media.playsInline = true;
+    } else {
+        media = document.createElement('img');
+        media.src = item.type === 'video' ? item.poster : item.thumb;
+        media.alt = '';
+        media.loading = 'lazy';
+        media.decoding = 'async';
+    }
+    thumb.appendChild(media);
+
+    if (item.type === 'video') thumb.classList.add('video');
+    return thumb;
+}
+
+/**
+ * Rebuild the filmstrip when the gallery changed (the same gallery keeps its thumbnails)
+ */
+function renderStrip(items) {
+    const key = items.map(item => item.src).join('\n');
+    if (key === stripKey) return;
+    stripKey = key;
+
+    elements.strip.innerHTML = '';
+    items.forEach((item, index) => elements.strip.appendChild(createThumb(item, index)));
+    // A single item has nothing to jump to
+    elements.strip.classList.toggle('visible', items.length > 1);
+}
+
+/**
+ * Highlight the current thumbnail and scroll it into view
+ */
+function highlight(index) {
+    elements.strip.querySelectorAll('.wiki-lightbox-thumb').forEach(thumb => {
+        const active = Number(thumb.dataset.index) === index;
+        thumb.classList.toggle('active', active);
+        if (active) thumb.scrollIntoView({ block: 'nearest', inline: 'center', behavior: 'smooth' });
+    });
+}
+
+/**
+ * Update the credit, counter and filmstrip for the item being shown
+ */
+function showItem({ index, items, item }) {
+    if (!elements || !item) return;
+    elements.credit.textContent = item.credit;
+    elements.counter.textContent = items.length > 1 ? `${index + 1} / ${items.length}` : '';
+    renderStrip(items);
+    highlight(index);
+}
+
+/**
+ * Initialize the lightbox info bar and filmstrip
+ */
+export function initLightboxInfo() {
+    const strip = document.getElementById('wiki-lightbox-filmstrip');
+    const credit = document.getElementById('wiki-lightbox-credit');
+    const counter = document.getElementById('wiki-lightbox-counter');
+    if (!strip || !credit || !counter) return;
+    elements = { strip, credit, counter };
+
+    onSceneEvent('lightboxShow', showItem);
+
+    strip.addEventListener('click', (e) => {
+        const thumb = e.target.closest('.wiki-lightbox-thumb');
+        if (!thumb) return;
+        e.stopPropagation();
+        dispatch('lightboxGoTo', { index: Number(thumb.dataset.index) }, 'pointer');
+    });
+
+    // Vertical wheel scrolls the strip sideways
+    strip.addEventListener('wheel', (e) => {
+        if (Math.abs(e.deltaY) <= Math.abs(e.deltaX)) return;
+        e.preventDefault();
+        strip.scrollLeft += e.deltaY;
+    }, { passive: false });
+
+    console.log('[LightboxInfo] Initialized');
+}
@@ -0,0 +1,199 @@
+// Video playback controls for the lightbox
+// main.js loads gallery videos into #wiki-lightbox-video; this module owns the control bar
+// (play/pause, scrub, time, mute, loop) and the muted/loop preferences, which persist to localStorage
+
+import { bindButton } from '../input/actions.js';
+
+const STORAGE_KEY = 'carholo.lightboxVideo';
+
+// Steps of the range input (finer than any video's frame count needs)
+const SCRUB_STEPS = 1000;
+
+let video = null;
+let controls = null;
+let preferences = null;
+let scrubbing = false;
+
+/**
+ * Load the stored preferences; videos start muted and looping like the inline article videos
+ */
+function loadPreferences() {
+    if (preferences) return preferences;
+    let stored = {};
+    try {
+        const raw = localStorage.getItem(STORAGE_KEY);
+        stored = raw ? JSON.parse(raw) : {};
+    } catch (err) {
+        console.warn('[LightboxVideo] Could not read stored preferences:', err);
+    }
+    preferences = {
+        muted: stored.muted !== false,
+        loop: stored.loop !== false
+    };
+    return preferences;
+}
+
+/**
+ * Write the preferences back to localStorage
+ */
+function persistPreferences() {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(preferences));
+    } catch (err) {
+        console.warn('[LightboxVideo] Could not save preferences:', err);
+    }
+}
+
+/**
+ * Format seconds as m:ss
+ */
+function formatTime(seconds) {
+    const total = Number.isFinite(seconds) ? Math.max(0, Math.floor(seconds)) : 0;
+    return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Whether the lightbox is open and showing a video
+ */
+export function isLightboxVideoActive() {
+    const lightbox = document.getElementById('wiki-image-lightbox');
+    return !!video && !!lightbox && lightbox.classList.contains('visible')
+        && !lightbox.classList.contains('closing') && video.style.display !== 'none';
+}
+
+/**
+ * Play or pause the lightbox video; false when no video is showing
+ */
+export function toggleVideoPlay() {
+    if (!isLightboxVideoActive()) return false;
+    if (video.paused || video.ended) {
+        const playing = video.play();
+        if (playing) playing.catch(err => console.warn('[LightboxVideo] Playback failed:', err));
+    } else {
+        video.pause();
+    }
+    return true;
+}
+
+/**
+ * Mute or unmute the lightbox video (remembered for later videos)
+ */
+export function toggleVideoMute() {
+    if (!isLightboxVideoActive()) return false;
+    video.muted = !video.muted;
+    loadPreferences().muted = video.muted;
+    persistPreferences();
+    return true;
+}
+
+/**
+ * Switch looping on or off (remembered for later videos)
+ */
+export function toggleVideoLoop() {
+    if (!isLightboxVideoActive()) return false;
+    video.loop = !video.loop;
+    loadPreferences().loop = video.loop;
+    persistPreferences();
+    updateControls();
+    return true;
+}
+
+/**
+ * Seek by a number of seconds (negative rewinds), clamped to the video
+ */
+export function seekVideo(seconds) {
+    if (!isLightboxVideoActive() || !Number.isFinite(video.duration)) return false;
+    video.currentTime = Math.max(0, Math.min(video.duration, video.currentTime + seconds));
+    return true;
+}
+
+/**
+ * Reflect the video's state in the control bar
+ */
+function updateControls() {
+    if (!controls) return;
+    const { play, scrub, time, mute, loop } = controls;
+    const duration = Number.isFinite(video.duration) ? video.duration : 0;
+
+    play.textContent = video.paused || video.ended ? 'PLAY' : 'PAUSE';
+    mute.textContent = video.muted ? 'UNMUTE' : 'MUTE';
+    loop.classList.toggle('off', !video.loop);
+    time.textContent = `${formatTime(video.currentTime)} / ${formatTime(duration)}`;
+    scrub.disabled = !duration;
+    if (!scrubbing) {
+        scrub.value = duration ? Math.round((video.currentTime / duration) * SCRUB_STEPS) : 0;
+    }
+}
+
+/**
+ * Show the control bar only while a video is displayed
+ */
+function updateVisibility() {
+    const active = isLightboxVideoActive();
+    controls.bar.classList.toggle('visible', active);
+    if (!active && !video.paused) video.pause(); // Pause as soon as the lightbox starts closing
+}
+
+/**
+ * Initialize the lightbox video controls
+ */
+export function initLightboxVideo() {
+    video = document.getElementById('wiki-lightbox-video');
+    const bar = document.getElementById('wiki-lightbox-video-controls');
+    if (!video || !bar) return;
+
+    controls = {
+        bar,
+        play: document.getElementById('wiki-lightbox-video-play'),
+        scrub: document.getElementById('wiki-lightbox-video-scrub'),
+        time: document.getElementById('wiki-lightbox-video-time'),
+        mute: document.getElementById('wiki-lightbox-video-mute'),
+        loop: document.getElementById('wiki-lightbox-video-loop')
+    };
+    controls.scrub.max = SCRUB_STEPS;
+    loadPreferences();
+
+    // A new source starts with the stored preferences
+    video.addEventListener('loadstart', () => {
+        video.muted = preferences.muted;
+        video.loop = preferences.loop;
+        updateControls();
+    });
+    ['timeupdate', 'play', 'pause', 'ended', 'volumechange', 'durationchange', 'loadedmetadata']
+        .forEach(type => video.addEventListener(type, updateControls));
+
+    // Clicking the picture plays/pauses, like most players
+    video.addEventListener('click', (e) => {
+        e.stopPropagation();
+        toggleVideoPlay();
+    });
+
+    // Scrubbing: seek while dragging, then hand the keyboard back to the shortcuts
+    const { scrub } = controls;
+    scrub.addEventListener('click', e => e.stopPropagation());
+    scrub.addEventListener('input', () => {
+        scrubbing = true;
+        if (Number.isFinite(video.duration)) {
+            video.currentTime = (scrub.value / SCRUB_STEPS) * video.duration;
+        }
+    });
+    scrub.addEventListener('change', () => {
+        scrubbing = false;
+        scrub.blur();
+        updateControls();
+    });
+
+    bindButton('wiki-lightbox-video-play', 'videoTogglePlay');
+    bindButton('wiki-lightbox-video-mute', 'videoToggleMute');
+    bindButton('wiki-lightbox-video-loop', 'videoToggleLoop');
+
+    // main.js shows/hides the video element and toggles the lightbox classes
+    const observer = new MutationObserver(updateVisibility);
+    observer.observe(video, { attributes: true, attributeFilter: ['style'] });
+    const lightbox = document.getElementById('wiki-image-lightbox');
+    if (lightbox) observer.observe(lightbox, { attributes: true, attributeFilter: ['class'] });
+
+    updateControls();
+    updateVisibility();
+    console.log('[LightboxVideo] Initialized');
+}
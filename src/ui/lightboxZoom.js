@@ -0,0 +1,303 @@
+// Zoom/pan viewer and touch gestures for the lightbox
+// Wheel or pinch zooms around the pointer, dragging pans a zoomed image, double-click/double-tap
+// toggles between fit and 100%, and (when not zoomed) swiping left/right pages and swiping down closes.
+// Zoom uses the CSS scale/translate properties so it composes with main.js' transform animations
+
+import { dispatch } from '../input/actions.js';
+import { onSceneEvent } from '../scene/bridge.js';
+
+const MAX_SCALE = 6;
+const MIN_ZOOMED_SCALE = 1.01; // Below this the image counts as fitted
+
+// Scale factor per unit of zoom input (wheel notches, keys and triggers are scaled onto this)
+const ZOOM_RATE = 0.25;
+const WHEEL_RATE = 0.0015; // per wheel deltaY pixel
+
+// Double-tap: max gap between taps (ms) and distance between them (px)
+const DOUBLE_TAP_TIME = 300;
+const DOUBLE_TAP_DISTANCE = 30;
+
+// Swipes: min travel (px), max duration (ms); taps move less than TAP_SLOP
+const SWIPE_DISTANCE = 60;
+const SWIPE_TIME = 600;
+const TAP_SLOP = 10;
+
+let lightbox = null;
+let container = null;
+let image = null;
+let view = { scale: 1, x: 0, y: 0 };
+const pointers = new Map(); // pointerId -> { x, y }
+let gesture = null;
+let lastTap = null;
+let suppressClick = false;
+
+/**
+ * Whether the lightbox is open and showing an image (videos are not zoomable)
+ */
+export function isLightboxImageActive() {
+    return !!lightbox && lightbox.classList.contains('visible') && !lightbox.classList.contains('closing')
+        && image.style.display !== 'none';
+}
+
+/**
+ * Whether the image is zoomed in past fit
+ */
+export function isLightboxZoomed() {
+    return view.scale > MIN_ZOOMED_SCALE;
+}
+
+/**
+ * Size of the picture inside the element (object-fit: contain letterboxes it) and the element's box
+ */
+function measure() {
+    const width = image.offsetWidth || 1;
+    const height = image.offsetHeight || 1;
+    const fit = image.naturalWidth && image.naturalHeight
+        ? Math.min(width / image.naturalWidth, height / image.naturalHeight)
+        : 1;
+    return {
+        width,
+        height,
+        contentWidth: (image.naturalWidth || width) * fit,
+        contentHeight: (image.naturalHeight || height) * fit,
+        fit
+    };
+}
+
+/**
+ * Keep the zoomed picture covering its box (no panning past its edges)
+ */
+function clampView() {
+    const { width, height, contentWidth, contentHeight } = measure();
+    const maxX = Math.max(0, (contentWidth * view.scale - width) / 2);
+    const maxY = Math.max(0, (contentHeight * view.scale - height) / 2);
+    view.x = Math.max(-maxX, Math.min(maxX, view.x));
+    view.y = Math.max(-maxY, Math.min(maxY, view.y));
+}
+
+/**
+ * Write the view to the image; animate eases discrete jumps (double-tap, keys)
+ */
+function applyView(animate = false) {
+    if (view.scale <= MIN_ZOOMED_SCALE) view = { scale: 1, x: 0, y: 0 };
+    clampView();
+    lightbox.classList.toggle('zoom-animating', animate);
+    lightbox.classList.toggle('zoomed', isLightboxZoomed());
+    image.style.scale = view.scale === 1 ? '' : String(view.scale);
+    image.style.translate = view.x || view.y ? `${view.x}px ${view.y}px` : '';
+}
+
+/**
+ * Back to fit
+ */
+export function resetLightboxZoom() {
+    view = { scale: 1, x: 0, y: 0 };
+    if (image) applyView();
+}
+
+/**
+ * Point relative to the image's untransformed center (scaling keeps the center; translating moves it)
+ */
+function toCenter(clientX, clientY) {
+    const rect = image.getBoundingClientRect();
+    return {
+        x: clientX - (rect.left + rect.width / 2 - view.x),
+        y: clientY - (rect.top + rect.height / 2 - view.y)
+    };
+}
+
+/**
+ * Zoom to a scale, keeping the picture point under `origin` (relative to the center) in place
+ */
+function zoomTo(scale, origin = { x: 0, y: 0 }, animate = false) {
+    const next = Math.max(1, Math.min(MAX_SCALE, scale));
+    const ratio = next / view.scale;
+    view.x = origin.x - (origin.x - view.x) * ratio;
+    view.y = origin.y - (origin.y - view.y) * ratio;
+    view.scale = next;
+    applyView(animate);
+}
+
+/**
+ * Zoom by input units (positive zooms in) around the center; false unless an image is showing
+ */
+export function zoomLightbox(delta, animate = false) {
+    if (!isLightboxImageActive() || !delta) return false;
+    zoomTo(view.scale * Math.exp(delta * ZOOM_RATE), { x: 0, y: 0 }, animate);
+    return true;
+}
+
+/**
+ * Pan a zoomed image by pixels (moves the picture); false when not zoomed
+ */
+export function panLightbox(dx, dy) {
+    if (!isLightboxImageActive() || !isLightboxZoomed()) return false;
+    view.x += dx;
+    view.y += dy;
+    applyView();
+    return true;
+}
+
+/**
+ * Toggle between fit and the picture's native size (at least 2x for small pictures)
+ */
+function toggleNativeSize(origin) {
+    if (isLightboxZoomed()) {
+        zoomTo(1, origin, true);
+        return;
+    }
+    const { fit } = measure();
+    zoomTo(Math.max(2, 1 / fit), origin, true);
+}
+
+/**
+ * Distance and midpoint of the first two pointers
+ */
+function pinchState() {
+    const [a, b] = Array.from(pointers.values());
+    return {
+        distance: Math.hypot(b.x - a.x, b.y - a.y) || 1,
+        x: (a.x + b.x) / 2,
+        y: (a.y + b.y) / 2
+    };
+}
+
+/**
+ * Pointers on buttons and the video controls keep their own behaviour
+ */
+function isControl(target) {
+    return target instanceof Element && !!target.closest('button, input, #wiki-lightbox-video-controls');
+}
+
+function handlePointerDown(e) {
+    if (!lightbox.classList.contains('visible') || isControl(e.target)) return;
+    if (e.pointerType === 'mouse' && e.button !== 0) return;
+
+    suppressClick = false;
+    pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+    if (pointers.size === 1) {
+        gesture = { type: 'drag', startX: e.clientX, startY: e.clientY, startTime: performance.now(), moved: false };
+    } else if (pointers.size === 2 && isLightboxImageActive()) {
+        gesture = { type: 'pinch', ...pinchState(), moved: true };
+        pointers.forEach((pointer, id) => container.setPointerCapture?.(id));
+    }
+}
+
+function handlePointerMove(e) {
+    const pointer = pointers.get(e.pointerId);
+    if (!pointer || !gesture) return;
+    const dx = e.clientX - pointer.x;
+    const dy = e.clientY - pointer.y;
+    pointer.x = e.clientX;
+    pointer.y = e.clientY;
+
+    if (gesture.type === 'pinch' && pointers.size >= 2) {
+        const next = pinchState();
+        const origin = toCenter(next.x, next.y);
+        // Follow the fingers' midpoint, then scale around it
+        view.x += next.x - gesture.x;
+        view.y += next.y - gesture.y;
+        zoomTo(view.scale * (next.distance / gesture.distance), origin);
+        Object.assign(gesture, next);
+        return;
+    }
+
+    if (gesture.type === 'drag') {
+        if (!gesture.moved && Math.hypot(e.clientX - gesture.startX, e.clientY - gesture.startY) > TAP_SLOP) {
+            gesture.moved = true;
+            // Keep receiving the drag outside the container (taps keep their own click targets)
+            container.setPointerCapture?.(e.pointerId);
+        }
+        if (isLightboxZoomed()) panLightbox(dx, dy);
+    }
+}
+
+function handlePointerUp(e) {
+    if (!pointers.has(e.pointerId)) return;
+    pointers.delete(e.pointerId);
+
+    const current = gesture;
+    if (pointers.size > 0) {
+        // Lifting one finger of a pinch continues as a drag with the other one
+        const [remaining] = pointers.values();
+        gesture = { type: 'drag', startX: remaining.x, startY: remaining.y, startTime: performance.now(), moved: true };
+        return;
+    }
+    gesture = null;
+    if (!current || e.type === 'pointercancel') return;
+
+    if (current.moved) {
+        // A drag or pinch shouldn't also click (e.g. play/pause a video)
+        suppressClick = true;
+        if (current.type === 'drag' && !isLightboxZoomed()) handleSwipe(current, e);
+        return;
+    }
+    handleTap(e);
+}
+
+/**
+ * Swipe left/right pages, swipe down closes
+ */
+function handleSwipe(start, e) {
+    const dx = e.clientX - start.startX;
+    const dy = e.clientY - start.startY;
+    if (performance.now() - start.startTime > SWIPE_TIME) return;
+
+    if (Math.abs(dx) > SWIPE_DISTANCE && Math.abs(dx) > Math.abs(dy) * 1.5) {
+        dispatch(dx < 0 ? 'nextPart' : 'prevPart', {}, 'touch');
+    } else if (dy > SWIPE_DISTANCE && dy > Math.abs(dx) * 1.5) {
+        dispatch('back', {}, 'touch');
+    }
+}
+
+/**
+ * Second tap close to the first toggles fit/100% (images only)
+ */
+function handleTap(e) {
+    const now = performance.now();
+    const isDouble = lastTap && now - lastTap.time < DOUBLE_TAP_TIME
+        && Math.hypot(e.clientX - lastTap.x, e.clientY - lastTap.y) < DOUBLE_TAP_DISTANCE;
+    lastTap = isDouble ? null : { time: now, x: e.clientX, y: e.clientY };
+
+    if (isDouble && isLightboxImageActive() && e.target === image) {
+        toggleNativeSize(toCenter(e.clientX, e.clientY));
+    }
+}
+
+function handleWheel(e) {
+    if (!isLightboxImageActive() || isControl(e.target)) return;
+    e.preventDefault();
+    zoomTo(view.scale * Math.exp(-e.deltaY * WHEEL_RATE), toCenter(e.clientX, e.clientY));
+}
+
+/**
+ * Initialize zoom and gestures on the lightbox media
+ */
+export function initLightboxZoom() {
+    lightbox = document.getElementById('wiki-image-lightbox');
+    container = document.getElementById('wiki-lightbox-container');
+    image = document.getElementById('wiki-lightbox-image');
+    if (!lightbox || !container || !image) return;
+
+    image.draggable = false;
+    container.addEventListener('pointerdown', handlePointerDown);
+    container.addEventListener('pointermove', handlePointerMove);
+    container.addEventListener('pointerup', handlePointerUp);
+    container.addEventListener('pointercancel', handlePointerUp);
+    container.addEventListener('wheel', handleWheel, { passive: false });
+    container.addEventListener('click', (e) => {
+        if (!suppressClick) return;
+        suppressClick = false;
+        e.stopPropagation();
+        e.preventDefault();
+    }, true);
+
+    // Every new item (and closing) starts at fit
+    onSceneEvent('lightboxShow', resetLightboxZoom);
+    new MutationObserver(() => {
+        if (!isLightboxImageActive() && isLightboxZoomed()) resetLightboxZoom();
+    }).observe(lightbox, { attributes: true, attributeFilter: ['class'] });
+
+    console.log('[LightboxZoom] Initialized');
+}
@@ -0,0 +1,174 @@
+// Maintenance report: every part flagged 'warning' or 'damaged' in the part catalog
+// Opens as a printable page (with a JSON download) or downloads directly as HTML or JSON.
+// Catalog entries are listed whether or not the loaded model has matching meshes; meshes without
+// an entry are added when their derived status is flagged
+
+import { getPartCatalog, resolvePart } from './partCatalog.js';
+import { getParts } from '../scene/parts.js';
+import { escapeHtml } from './article.js';
+
+// Most urgent first
+const STATUS_ORDER = { damaged: 0, warning: 1 };
+
+const STATUS_LABELS = {
+    damaged: 'Requires maintenance',
+    warning: 'Needs inspection'
+};
+
+/**
+ * Report data: { model, generated, summary: { damaged, warning }, parts: [...] }, or null before
+ * the catalog has loaded
+ */
+export function buildMaintenanceReport() {
+    const catalog = getPartCatalog();
+    if (!catalog) return null;
+
+    const rows = new Map(); // part id -> row
+    const addRow = (part) => {
+        if (!(part.status in STATUS_ORDER)) return null;
+        if (!rows.has(part.id)) {
+            rows.set(part.id, {
+                id: part.id,
+                name: part.name,
+                status: part.status,
+                description: part.description || '',
+                specs: { ...(part.specs || {}) },
+                serviceInterval: part.serviceInterval || '',
+                action: part.action || '',
+                meshes: []
+            });
+        }
+        return rows.get(part.id);
+    };
+
+    catalog.parts.forEach(addRow);
+    getParts().forEach(mesh => {
+        const row = addRow(resolvePart(mesh));
+        if (row && mesh.name && !row.meshes.includes(mesh.name)) row.meshes.push(mesh.name);
+    });
+
+    const parts = Array.from(rows.values())
+        .sort((a, b) => STATUS_ORDER[a.status] - STATUS_ORDER[b.status] || a.name.localeCompare(b.name));
+    return {
+        model: catalog.model || '',
+        generated: new Date().toISOString(),
+        summary: {
+            damaged: parts.filter(part => part.status === 'damaged').length,
+            warning: parts.filter(part => part.status === 'warning').length
+        },
+        parts
+    };
+}
+
+function renderSpecs(specs) {
+    const items = Object.entries(specs);
+    if (!items.length) return '';
+    return `<dl>${items.map(([label, value]) => `<dt>${escapeHtml(label)}</dt><dd>${escapeHtml(value)}</dd>`).join('')}</dl>`;
+}
+
+function renderRow(part) {
+    return `<tr class="${part.status}">
+            <td><strong>${escapeHtml(part.name)}</strong><p>${escapeHtml(part.description)}</p>${renderSpecs(part.specs)}</td>
+            <td class="status">${STATUS_LABELS[part.status]}</td>
+            <td>${escapeHtml(part.action)}</td>
+            <td>${escapeHtml(part.serviceInterval)}</td>
+            <td class="meshes">${part.meshes.map(escapeHtml).join('<br>') || '&mdash;'}</td>
+        </tr>`;
+}
+
+/**
+ * Standalone printable page for a report (with a JSON download link unless `download` is false)
+ */
+function renderReportHtml(report, { download = true } = {}) {
+    const title = `Maintenance Report${report.model ? ` – ${report.model}` : ''}`;
+    const generated = new Date(report.generated).toLocaleString();
+    const json = `data:application/json;charset=utf-8,${encodeURIComponent(JSON.stringify(report, null, 2))}`;
+    const body = report.parts.length
+        ? `<table>
+        <thead><tr><th>Part</th><th>Status</th><th>Recommended action</th><th>Service interval</th><th>Meshes</th></tr></thead>
+        <tbody>
+        ${report.parts.map(renderRow).join('\n        ')}
+        </tbody>
+    </table>`
+        : '<p>No parts need attention.</p>';
+    const toolbar = download
+        ? `<div class="toolbar"><button type="button" onclick="window.print()">Print</button> <a href="${json}" download="maintenance-report.json">Download JSON</a></div>`
+        : '';
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="utf-8">
+    <title>${escapeHtml(title)}</title>
+    <style>
+        body { font-family: Helvetica, Arial, sans-serif; color: #111; margin: 32px; }
+        h1 { font-size: 22px; margin: 0 0 4px; }
+        .meta { color: #555; font-size: 13px; margin-bottom: 20px; }
+        table { border-collapse: collapse; width: 100%; font-size: 13px; }
+        th, td { border-bottom: 1px solid #ccc; padding: 8px; text-align: left; vertical-align: top; }
+        th { background: #f2f2f2; }
+        td p { margin: 4px 0; color: #444; }
+        dl { display: grid; grid-template-columns: auto 1fr; gap: 2px 8px; margin: 4px 0 0; color: #666; font-size: 12px; }
+        dd { margin: 0; }
+        tr.damaged .status { color: #b00020; font-weight: bold; }
+        tr.warning .status { color: #a86a00; font-weight: bold; }
+        .meshes { font-family: monospace; font-size: 11px; color: #666; }
+        .toolbar { margin-bottom: 20px; }
+        @media print { .toolbar { display: none; } body { margin: 0; } }
+    </style>
+</head>
+<body>
+    ${toolbar}
+    <h1>${escapeHtml(title)}</h1>
+    <div class="meta">Generated ${escapeHtml(generated)} &middot; ${report.summary.damaged} requiring maintenance, ${report.summary.warning} needing inspection</div>
+    ${body}
+</body>
+</html>
+`;
+}
+
+/**
+ * Save text as a file through a temporary object URL
+ */
+export function downloadFile(name, type, text) {
+    const url = URL.createObjectURL(new Blob([text], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = name;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * Download the report as 'json' or 'html'; false before the catalog has loaded
+ */
+export function downloadMaintenanceReport(format = 'json') {
+    const report = buildMaintenanceReport();
+    if (!report) return false;
+    if (format === 'html') {
+        downloadFile('maintenance-report.html', 'text/html', renderReportHtml(report, { download: false }));
+    } else {
+        downloadFile('maintenance-report.json', 'application/json', JSON.stringify(report, null, 2));
+    }
+    return true;
+}
+
+/**
+ * Open the printable report in a new window (downloads it as HTML if popups are blocked);
+ * false before the catalog has loaded
+ */
+export function openMaintenanceReport() {
+    const report = buildMaintenanceReport();
+    if (!report) return false;
+    const win = window.open('', '_blank');
+    if (!win) {
+        console.warn('[MaintenanceReport] Popup blocked, downloading the report instead');
+        return downloadMaintenanceReport('html');
+    }
+    win.document.open();
+    win.document.write(renderReportHtml(report));
+    win.document.close();
+    return true;
+}
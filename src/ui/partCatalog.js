@@ -0,0 +1,227 @@
+// Part catalog: display name, description, specs, status and service data for the car's meshes
+// Entries come from content/parts.json. A mesh gets the first entry whose `match` (a case-insensitive
+// regular expression) matches its name or the name of a group it sits in; meshes nothing matches get
+// the catalog's fallback, named after the mesh. main.js reads parts through the 'parts' scene hook
+// for the hover tooltip, the #part-info panel and the part menu
+//
+// Entry: { id, match, name, description, specs: { label: value }, status, serviceInterval, action }
+// status: 'good' | 'warning' | 'damaged'
+
+import { getSceneObject, registerSceneHook } from '../scene/bridge.js';
+import { dispatch } from '../input/actions.js';
+import { escapeHtml } from './article.js';
+
+const DEFAULT_CATALOG_URL = new URL('../../content/parts.json', import.meta.url);
+
+export const PART_STATUSES = ['good', 'warning', 'damaged'];
+
+// The 3D code's status categories ('warning' is its red, urgent one)
+const LEGACY_STATUS = {
+    good: 'good',
+    warning: 'neutral',
+    damaged: 'warning'
+};
+
+// Tooltip status lines; main.js colours the tooltip by the words in them
+const STATUS_TEXT = {
+    good: 'Status: Good Condition',
+    warning: 'Status: Needs Inspection',
+    damaged: 'Status: Requires Maintenance'
+};
+
+// Width of the #part-info lines (its separators are 41 characters)
+const INFO_WIDTH = 41;
+const INFO_SEPARATOR = '─'.repeat(INFO_WIDTH);
+
+let catalog = null;
+let entries = []; // catalog parts with compiled patterns
+const resolved = new WeakMap(); // mesh -> part
+const described = new WeakMap(); // mesh -> describe() result (asked for every frame while hovered)
+const menuProviders = [];
+
+/**
+ * The loaded catalog, or null before it has loaded
+ */
+export function getPartCatalog() {
+    return catalog;
+}
+
+function capitalize(text) {
+    return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+/**
+ * Status for a mesh without a catalog entry: from the fallback, else derived from the mesh name
+ * (stable across reloads, unlike the 3D code's uuid-based pick)
+ */
+function fallbackStatus(name) {
+    if (PART_STATUSES.includes(catalog.fallback?.status)) return catalog.fallback.status;
+    const hash = Array.from(name).reduce((sum, char) => (sum * 31 + char.charCodeAt(0)) | 0, 0);
+    return PART_STATUSES[Math.abs(hash) % PART_STATUSES.length];
+}
+
+/**
+ * Names to match for a mesh: its own, then its groups' up to (not including) the model root
+ */
+function namesOf(mesh) {
+    const model = getSceneObject('model');
+    const names = [];
+    for (let node = mesh; node && node !== model; node = node.parent) {
+        if (node.name) names.push(node.name);
+    }
+    return names;
+}
+
+/**
+ * Catalog data for a mesh (cached per mesh)
+ * @returns {{ id: string, name: string, description: string, specs: Object<string, string>,
+ *   status: 'good'|'warning'|'damaged', serviceInterval: string, action: string, catalogued: boolean }}
+ */
+export function resolvePart(mesh) {
+    if (resolved.has(mesh)) return resolved.get(mesh);
+
+    const names = namesOf(mesh);
+    const entry = entries.find(candidate => names.some(name => candidate.pattern.test(name)));
+    const meshName = mesh.name || 'Unknown Part';
+    const part = entry
+        ? { ...entry.part, catalogued: true }
+        : {
+            id: meshName,
+            name: capitalize(meshName),
+            description: '',
+            specs: {},
+            serviceInterval: '',
+            action: '',
+            ...catalog.fallback,
+            status: fallbackStatus(meshName),
+            catalogued: false
+        };
+    resolved.set(mesh, part);
+    return part;
+}
+
+/**
+ * Wrap text onto #part-info lines with an indent
+ */
+function wrapLines(text, indent = '    ') {
+    const width = INFO_WIDTH - indent.length;
+    const lines = [];
+    let line = '';
+    String(text).split(/\s+/).filter(Boolean).forEach(word => {
+        if (line && line.length + word.length + 1 > width) {
+            lines.push(indent + line);
+            line = word;
+        } else {
+            line = line ? `${line} ${word}` : word;
+        }
+    });
+    if (line) lines.push(indent + line);
+    return lines;
+}
+
+/**
+ * Catalog lines for the #part-info panel (inserted after the part name)
+ */
+function infoLines(part) {
+    const lines = [];
+    if (part.description) lines.push('  DESCRIPTION:', ...wrapLines(part.description), '');
+    lines.push(`  STATUS: ${part.status.toUpperCase()}`);
+    if (part.serviceInterval) lines.push('  SERVICE INTERVAL:', ...wrapLines(part.serviceInterval));
+    if (part.action) lines.push('  RECOMMENDED:', ...wrapLines(part.action));
+    const specs = Object.entries(part.specs || {});
+    if (specs.length) {
+        lines.push('', '  SPECS:');
+        specs.forEach(([label, value]) => lines.push(...wrapLines(`${label}: ${value}`)));
+    }
+    lines.push(INFO_SEPARATOR);
+    return lines;
+}
+
+/**
+ * What the tooltip and info panel show for a mesh
+ */
+function describe(mesh) {
+    if (described.has(mesh)) return described.get(mesh);
+    const part = resolvePart(mesh);
+    const description = {
+        name: part.name,
+        status: LEGACY_STATUS[part.status],
+        catalogStatus: part.status,
+        statusText: STATUS_TEXT[part.status],
+        info: infoLines(part)
+    };
+    described.set(mesh, description);
+    return description;
+}
+
+/**
+ * Add part menu options from another module (e.g. the configurator's alternatives)
+ * @param {(part: ReturnType<typeof resolvePart>, mesh: import('three').Mesh) => Array<{title: string, desc: string, action: Function}>} provider
+ */
+export function addPartMenuOptions(provider) {
+    menuProviders.push(provider);
+}
+
+/**
+ * Part menu options: the status option, options from providers, then the standard ones
+ * (the 3D code renders title/desc as HTML, so they are escaped here)
+ */
+function menuOptions(mesh) {
+    const part = resolvePart(mesh);
+    const log = (label) => () => console.log(`[PartCatalog] ${label}:`, part.name);
+    const options = [
+        ...menuProviders.flatMap(provider => provider(part, mesh) || []),
+        { title: 'View Details', desc: part.description || 'Inspect part specifications and status', action: log('View details') },
+        { title: 'Maintenance History', desc: part.serviceInterval ? `Service interval: ${part.serviceInterval}` : 'View service records and maintenance log', action: log('Maintenance history') },
+        { title: 'Replace Part', desc: 'Order replacement or schedule installation', action: log('Replace part') },
+        { title: 'Maintenance Report', desc: 'Print or export every part that needs attention', action: () => dispatch('maintenanceReport', {}, 'pointer') }
+    ];
+    if (part.status === 'damaged') {
+        // The ⚠️ marks the option as urgent in the 3D code's menu
+        options.unshift({ title: '⚠️ Immediate Action Required', desc: part.action || 'This part requires urgent attention', action: log('Urgent action') });
+    } else if (part.status === 'warning') {
+        options.unshift({ title: 'Service Recommended', desc: part.action || 'Inspect this part soon', action: log('Service') });
+    } else {
+        options.push({ title: 'Optimize Performance', desc: 'Enhance part efficiency and longevity', action: log('Optimize') });
+    }
+    return options.map(option => ({ ...option, title: escapeHtml(option.title), desc: escapeHtml(option.desc) }));
+}
+
+/**
+ * Fetch a part catalog
+ */
+export async function loadPartCatalog(url = DEFAULT_CATALOG_URL) {
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`HTTP ${response.status} for ${url}`);
+    const doc = await response.json();
+    if (!Array.isArray(doc.parts)) throw new Error(`No parts in ${url}`);
+    return doc;
+}
+
+/**
+ * Load the catalog and hand it to main.js; until then (or if loading fails) the 3D code's own
+ * placeholder data shows
+ */
+export async function initPartCatalog(url = DEFAULT_CATALOG_URL) {
+    try {
+        catalog = await loadPartCatalog(url);
+    } catch (err) {
+        console.warn('[PartCatalog] Failed to load part catalog:', err);
+        return;
+    }
+
+    entries = catalog.parts.flatMap(part => {
+        if (!PART_STATUSES.includes(part.status)) {
+            console.warn('[PartCatalog] Unknown status for', part.id, part.status);
+        }
+        try {
+            return [{ pattern: new RegExp(part.match, 'i'), part }];
+        } catch (err) {
+            console.warn('[PartCatalog] Invalid match pattern for', part.id, err);
+            return [];
+        }
+    });
+
+    registerSceneHook('parts', { describe, menuOptions });
+    console.log('[PartCatalog] Loaded', entries.length, 'parts');
+}
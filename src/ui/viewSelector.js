@@ -0,0 +1,32 @@
+// On-screen camera view selector (bottom center)
+// One button per preset; clicks go through the 'setView' action like the pad and keyboard
+
+import { bindButton } from '../input/actions.js';
+import { VIEWS, subscribeViews, whenIntroComplete } from '../scene/views.js';
+
+/**
+ * Build the selector buttons and keep the active one highlighted
+ */
+export function initViewSelector() {
+    const selector = document.getElementById('view-selector');
+    if (!selector) return;
+
+    VIEWS.forEach(({ name, label }) => {
+        const button = document.createElement('button');
+        button.id = `view-option-${name}`;
+        button.className = 'view-selector-option';
+        button.type = 'button';
+        button.textContent = label;
+        selector.appendChild(button);
+        bindButton(button.id, 'setView', { name });
+    });
+
+    subscribeViews(view => {
+        selector.querySelectorAll('.view-selector-option').forEach(button => {
+            button.classList.toggle('active', !!view && button.id === `view-option-${view.name}`);
+        });
+    });
+
+    // Fade in with the rest of the UI once the intro zoom is done
+    whenIntroComplete().then(() => selector.classList.add('visible'));
+}